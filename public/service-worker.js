@@ -3,9 +3,9 @@
  * Enhanced service worker with better error handling and caching strategy
  */
 
-const CACHE_NAME = 'adaptive-training-companion-cache-v4';
-const STATIC_CACHE_NAME = 'static-cache-v4';
-const DYNAMIC_CACHE_NAME = 'dynamic-cache-v4';
+const CACHE_NAME = 'adaptive-training-companion-cache-v5';
+const STATIC_CACHE_NAME = 'static-cache-v5';
+const DYNAMIC_CACHE_NAME = 'dynamic-cache-v5';
 
 // Core files that are essential for the app to function
 const CORE_FILES = [
@@ -33,6 +33,14 @@ const ADDITIONAL_FILES = [
   './adaptive-training-companion/src/components/motivational-elements.js'
 ];
 
+// Exercise illustrations shown in the info panel, precached so it works offline
+const ILLUSTRATION_FILES = [
+  './adaptive-training-companion/illustrations/bench-press.svg',
+  './adaptive-training-companion/illustrations/deadlift.svg',
+  './adaptive-training-companion/illustrations/squat.svg',
+  './adaptive-training-companion/illustrations/overhead-press.svg'
+];
+
 // URLs that should never be cached
 const NEVER_CACHE = [
   /\.google\.com/,
@@ -55,7 +63,7 @@ self.addEventListener('install', (event) => {
       // Cache core files
       caches.open(STATIC_CACHE_NAME).then(cache => {
         console.log('Caching core files...');
-        return cacheFilesGracefully(cache, CORE_FILES);
+        return cacheFilesGracefully(cache, [...CORE_FILES, ...ILLUSTRATION_FILES]);
       }),
       
       // Cache additional files
@@ -5,6 +5,8 @@ SECTION 1: COMPONENT INITIALIZATION
 */
 import { LitElement, html } from "lit";
 import { getDataLocally } from "../services/local-storage.js";
+import { WorkoutEngine } from "../services/workout-engine.js";
+import { DEVIATION_TYPES, getPlanAdherence } from "../services/session-deviations.js";
 
 class AnalyticsDashboard extends LitElement {
   static properties = {
@@ -20,6 +22,7 @@ class AnalyticsDashboard extends LitElement {
     this.isLoading = true;
     this.errorMessage = "";
     this.units = localStorage.getItem('units') || 'lbs';
+    this.workoutEngine = null;
   }
 
 /*
@@ -40,6 +43,7 @@ SECTION 2: LIFECYCLE METHODS
       if (data && data.workouts) {
         this.workouts = data.workouts;
       }
+      this.workoutEngine = new WorkoutEngine(data);
     } catch (error) {
       this.errorMessage = "Failed to load workout data.";
       console.error(error);
@@ -67,6 +71,17 @@ SECTION 3: DATA PROCESSING
     return this.workouts.length > 0 ? Math.round((totalDuration / this.workouts.length) / 60) : 0;
   }
 
+  _getVolumeZoneLabel(zone) {
+    const labels = {
+      'below-mv': 'Below maintenance',
+      'maintenance': 'Maintenance',
+      'productive': 'Productive (MEV-MAV)',
+      'high': 'High (MAV-MRV)',
+      'over-mrv': 'Over MRV',
+    };
+    return labels[zone] || zone;
+  }
+
 /*
 ===============================================
 SECTION 4: RENDERING
@@ -110,10 +125,79 @@ SECTION 4: RENDERING
           </div>
         </div>
         
-        <div class="card">
-          <h3>More Analytics Coming Soon!</h3>
-          <p>We're working on advanced charts and insights to help you visualize your progress.</p>
+        ${this._renderWeeklyVolume()}
+
+        ${this._renderPlanAdherence()}
+
+      </div>
+    `;
+  }
+
+  _renderWeeklyVolume() {
+    const weeklyVolume = this.workoutEngine ? this.workoutEngine.getCurrentWeekVolume() : [];
+
+    return html`
+      <div class="card volume-ledger-card">
+        <h3>Weekly Volume</h3>
+        <p class="volume-ledger-subtitle">Hard sets (${this.workoutEngine?.hardSetMaxRir ?? 3} RIR or closer) per muscle this week, against your volume landmarks. Sets without an effort rating are listed separately.</p>
+        ${weeklyVolume.length === 0 ? html`<p>No sets logged this week yet.</p>` : weeklyVolume.map(entry => {
+          const { mv, mev, mav, mrv } = entry.landmarks;
+          const scaleMax = Math.max(mrv, entry.hardSets) * 1.1;
+          const toPercent = (value) => `${Math.min(100, (value / scaleMax) * 100)}%`;
+          return html`
+            <div class="volume-ledger-row">
+              <div class="volume-ledger-header">
+                <span class="volume-ledger-muscle">${entry.muscleGroup}</span>
+                <span class="volume-ledger-sets">${entry.hardSets} sets${entry.unratedSets > 0 ? ` · ${entry.unratedSets} unrated` : ''}</span>
+              </div>
+              <div class="volume-ledger-track">
+                <div class="volume-ledger-fill zone-${entry.zone}" style="width: ${toPercent(entry.hardSets)};"></div>
+                <span class="volume-ledger-marker" style="left: ${toPercent(mev)};" title="MEV ${mev}"></span>
+                <span class="volume-ledger-marker" style="left: ${toPercent(mav)};" title="MAV ${mav}"></span>
+                <span class="volume-ledger-marker mrv" style="left: ${toPercent(mrv)};" title="MRV ${mrv}"></span>
+              </div>
+              <div class="volume-ledger-legend">
+                <span class="zone-label zone-${entry.zone}">${this._getVolumeZoneLabel(entry.zone)}</span>
+                <span>MV ${mv} · MEV ${mev} · MAV ${mav} · MRV ${mrv}</span>
+              </div>
+            </div>
+          `;
+        })}
+      </div>
+    `;
+  }
+
+  _renderPlanAdherence() {
+    const adherence = getPlanAdherence(this.workouts);
+    if (adherence.workouts === 0) return '';
+    const percent = adherence.plannedSets > 0
+      ? Math.round((adherence.completedPlannedSets / adherence.plannedSets) * 100)
+      : 100;
+
+    return html`
+      <div class="card plan-adherence-card">
+        <h3>Plan Adherence</h3>
+        <div class="progress-metrics">
+          <div class="metric-card">
+            <div class="metric-value">${percent}%</div>
+            <div class="metric-label">Planned Sets Done</div>
+          </div>
+          <div class="metric-card">
+            <div class="metric-value">${adherence.completedPlannedSets}/${adherence.plannedSets}</div>
+            <div class="metric-label">Sets (Done/Planned)</div>
+          </div>
+          <div class="metric-card">
+            <div class="metric-value">${adherence.extraSets}</div>
+            <div class="metric-label">Unplanned Sets</div>
+          </div>
         </div>
+        ${Object.keys(adherence.counts).length > 0 ? html`
+          <ul class="deviation-counts">
+            ${Object.entries(adherence.counts).map(([type, count]) => html`
+              <li><span>${DEVIATION_TYPES[type]?.label || type}</span><strong>${count}</strong></li>
+            `)}
+          </ul>
+        ` : html`<p class="volume-ledger-subtitle">Every tracked session followed its plan's structure.</p>`}
       </div>
     `;
   }
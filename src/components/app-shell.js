@@ -7,7 +7,7 @@ SECTION 1: COMPONENT AND SERVICE IMPORTS
 import { LitElement, html } from "lit";
 // 1.B: Import Services
 import { WorkoutEngine } from "../services/workout-engine.js";
-import { saveDataLocally, getDataLocally, deleteDataLocally } from "../services/local-storage.js";
+import { saveDataLocally, getDataLocally, deleteDataLocally, getSessionLocally, deleteSessionLocally } from "../services/local-storage.js";
 
 // 1.C: Import all View Components
 import "./onboarding-flow.js";
@@ -37,6 +37,7 @@ class AppShell extends LitElement {
     showReadinessModal: { type: Boolean },
     toast: { type: Object },
     editingRoutineId: { type: String, state: true },
+    unfinishedSession: { type: Object, state: true },
   };
 
   // 2.B: Constructor
@@ -51,6 +52,8 @@ class AppShell extends LitElement {
     this.toast = { show: false, message: '', type: '' };
     this.workoutEngine = null;
     this.editingRoutineId = null;
+    this.unfinishedSession = null;
+    this.resumedSession = null;
   }
 
 /*
@@ -77,7 +80,9 @@ SECTION 3: LIFECYCLE AND INITIALIZATION METHODS
     this.addEventListener('delete-routine', this._handleDeleteRoutine);
     this.addEventListener('routine-saved', this._handleRoutineSaved);
     this.addEventListener('equipment-updated', this.loadUserData);
-
+    this.addEventListener('custom-exercises-updated', this._refreshUserData);
+    this.addEventListener('history-updated', this._refreshUserData);
+    this.addEventListener('program-updated', this._refreshUserData);
 
   }
 
@@ -100,6 +105,9 @@ SECTION 3: LIFECYCLE AND INITIALIZATION METHODS
     this.removeEventListener('delete-routine', this._handleDeleteRoutine);
     this.removeEventListener('routine-saved', this._handleRoutineSaved);
     this.removeEventListener('equipment-updated', this.loadUserData);
+    this.removeEventListener('custom-exercises-updated', this._refreshUserData);
+    this.removeEventListener('history-updated', this._refreshUserData);
+    this.removeEventListener('program-updated', this._refreshUserData);
 
   }
 
@@ -114,6 +122,7 @@ SECTION 3: LIFECYCLE AND INITIALIZATION METHODS
       if (!this.userData.onboardingComplete) {
         this.currentView = 'onboarding';
       } else {
+        this.unfinishedSession = getSessionLocally();
         this.currentView = 'home';
       }
     } catch (error) {
@@ -148,11 +157,13 @@ SECTION 4: EVENT HANDLERS
   
 // 4.C: Handle Program Selection
   _handleProgramSelected(e) {
-    const { program, duration, startWorkoutIndex } = e.detail;
-    const newPlan = this.workoutEngine.generateProgramPlan(program, duration, startWorkoutIndex);
+    const { program, duration, startWorkoutIndex, periodizationModel } = e.detail;
+    const newPlan = this.workoutEngine.generateProgramPlan(program, duration, startWorkoutIndex, periodizationModel);
     
+    // The model is remembered as the default for the next program too
     this.userData.activeProgram = newPlan;
-    saveDataLocally({ activeProgram: newPlan });
+    this.userData.periodizationModel = newPlan.periodization;
+    saveDataLocally({ activeProgram: newPlan, periodizationModel: newPlan.periodization });
     
     this._showToast({ detail: { message: "New program has been saved!", type: "success" }});
     this.currentView = 'home';
@@ -163,7 +174,9 @@ SECTION 4: EVENT HANDLERS
     this.showReadinessModal = false;
     const recoveryScore = this.workoutEngine.calculateRecoveryScore(readinessData);
     const adjustedWorkout = this.workoutEngine.adjustWorkout(this.currentWorkout, recoveryScore);
+    adjustedWorkout.readiness = { ...readinessData, score: adjustedWorkout.readinessScore };
     this.currentWorkout = adjustedWorkout;
+    this._clearUnfinishedSession();
     this.currentView = 'workout';
     this._showToast({ detail: { message: adjustedWorkout.adjustmentNote || "Workout Started!", type: 'info' } });
   }
@@ -171,6 +184,8 @@ SECTION 4: EVENT HANDLERS
 // 4.E: Skip Readiness
   _skipReadiness() {
     this.showReadinessModal = false;
+    this.currentWorkout = this.workoutEngine.adjustWorkout(this.currentWorkout, null);
+    this._clearUnfinishedSession();
     this.currentView = 'workout';
   }
 
@@ -186,10 +201,58 @@ SECTION 4: EVENT HANDLERS
         }
     }
     
+    // Both checks can fire after the same workout, so their messages share one toast
+    const messages = [this._checkForDeload(), this._checkForStalls()].filter(Boolean);
+    if (messages.length > 0) {
+        this._showToast({ detail: { message: messages.join(' '), type: 'info' } });
+    }
     this.lastCompletedWorkout = workoutData;
     this.currentView = 'summary';
   }
 
+// 4.F.1: Check Logged Data For Deload
+  // Returns the message to show, or null when no deload is needed or one is already scheduled
+  _checkForDeload() {
+    const latestData = getDataLocally();
+    const engine = new WorkoutEngine(latestData);
+    const { triggered, reasons } = engine.detectDeloadNeed();
+    if (!triggered) return null;
+
+    const program = latestData.activeProgram;
+    if (program?.workouts.find(w => !w.completed)?.isDeload) return null;
+    const deloadedProgram = program ? engine.applyDeloadToProgram(program, reasons) : null;
+    // The detection window only restarts once a deload week is actually in the plan
+    if (deloadedProgram?.workouts.some(w => w.isDeload && !w.completed)) {
+        const lastDeloadDate = new Date().toISOString();
+        this.userData.activeProgram = deloadedProgram;
+        this.userData.lastDeloadDate = lastDeloadDate;
+        saveDataLocally({ activeProgram: deloadedProgram, lastDeloadDate });
+        return `Deload week scheduled and the rest of your program moved back a week. ${reasons.join(' ')}`;
+    }
+    return `Consider a deload week. ${reasons.join(' ')}`;
+  }
+
+// 4.F.2: Check Logged Data For Stalled Lifts
+  // Returns the message to show, or null when nothing has stalled
+  _checkForStalls() {
+    const latestData = getDataLocally();
+    const engine = new WorkoutEngine(latestData);
+    const { stallRecords, newStalls } = engine.updateStallRecords();
+    if (newStalls.length === 0) return null;
+
+    const progressions = { ...(latestData.progressions || {}) };
+    newStalls.forEach(stall => {
+        progressions[stall.name] = engine.applyStallReset(progressions[stall.name], stall);
+    });
+    saveDataLocally({ exerciseStalls: stallRecords, progressions });
+    this.userData.exerciseStalls = stallRecords;
+    this.userData.progressions = progressions;
+
+    const [firstStall] = newStalls;
+    const suggestion = firstStall.suggestedRotation ? ` Try ${firstStall.suggestedRotation}.` : '';
+    return `${firstStall.name} has stalled.${suggestion}`;
+  }
+
 // 4.G: Handle Summary Continue
   _handleSummaryContinue(e) {
       const { xpGained } = e.detail;
@@ -206,6 +269,7 @@ SECTION 4: EVENT HANDLERS
   _handleWorkoutCancelled() {
     this.currentView = 'home';
     this.currentWorkout = null;
+    this.resumedSession = null;
   }
   
 // 4.I: Handle Theme Change
@@ -251,6 +315,35 @@ SECTION 4: EVENT HANDLERS
     this.currentView = 'settings';
   }
 
+// 4.O.1: Refresh User Data
+  // Data saved from inside a view; reload the shell's copy without navigating away
+  _refreshUserData() {
+    this.userData = getDataLocally();
+    this.workoutEngine = new WorkoutEngine(this.userData);
+  }
+
+// 4.P: Resume Unfinished Workout
+  _resumeSession() {
+    this.currentWorkout = this.unfinishedSession.workout;
+    this.resumedSession = this.unfinishedSession;
+    this.unfinishedSession = null;
+    this.currentView = 'workout';
+    this._showToast({ detail: { message: "Workout resumed.", type: 'info' } });
+  }
+
+// 4.Q: Discard Unfinished Workout
+  _discardSession() {
+    deleteSessionLocally();
+    this.unfinishedSession = null;
+    this._showToast({ detail: { message: "Unfinished workout discarded.", type: 'info' } });
+  }
+
+// 4.R: Clear Unfinished Workout When A New One Starts
+  _clearUnfinishedSession() {
+    this.unfinishedSession = null;
+    this.resumedSession = null;
+  }
+
 /*
 ===============================================
 SECTION 5: UI METHODS (NAVIGATION, TOAST, THEME)
@@ -317,7 +410,7 @@ SECTION 6: VIEW RENDERING LOGIC
        case 'goals':
         return html`<goals-view></goals-view>`;
       case 'workout':
-        return html`<workout-session .workout=${this.currentWorkout} .userData=${this.userData}></workout-session>`;
+        return html`<workout-session .workout=${this.currentWorkout} .resumedSession=${this.resumedSession} .userData=${this.userData}></workout-session>`;
       case 'summary':
         return html`<workout-summary .workoutData=${this.lastCompletedWorkout} .userData=${this.userData}></workout-summary>`;
       default:
@@ -343,7 +436,7 @@ SECTION 6: VIEW RENDERING LOGIC
                     <div class="hub-option-icon">🏋️</div>
                     <div class="hub-option-text">
                         <h3>Day ${nextWorkout.day}: ${nextWorkout.name.split(' - ')[1]}</h3>
-                        <p>Your next scheduled workout</p>
+                        <p>${nextWorkout.isDeload ? nextWorkout.deloadNote : 'Your next scheduled workout'}</p>
                     </div>
                 </button>
             `;
@@ -384,6 +477,7 @@ SECTION 6: VIEW RENDERING LOGIC
         <div class="home-header">
           <h1 class="main-title">${getGreeting()}</h1>
         </div>
+        ${this.unfinishedSession ? this._renderResumeSessionCard() : ''}
         
         <nav class="home-nav-buttons">
             ${startWorkoutButton}
@@ -401,6 +495,13 @@ SECTION 6: VIEW RENDERING LOGIC
                     <p>Track your journey</p>
                 </div>
             </button>
+            <button class="hub-option card-interactive" @click=${() => this._navigateTo('analytics')}>
+                <div class="hub-option-icon">📈</div>
+                <div class="hub-option-text">
+                    <h3>Analytics</h3>
+                    <p>Weekly volume and lifetime stats</p>
+                </div>
+            </button>
             <button class="hub-option card-interactive" @click=${() => this._navigateTo('goals')}>
                 <div class="hub-option-icon">🏆</div>
                 <div class="hub-option-text">
@@ -413,6 +514,27 @@ SECTION 6: VIEW RENDERING LOGIC
     `;
   }
 
+// 6.C.1: Render Resume Session Card
+  _renderResumeSessionCard() {
+    const { workout, startedAt } = this.unfinishedSession;
+    const loggedSets = (workout.exercises || [])
+      .reduce((count, exercise) => count + (exercise.sets || []).filter(set => set.completed).length, 0);
+    const startedText = new Date(startedAt).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+
+    return html`
+      <div class="resume-session-card card">
+        <div class="resume-session-text">
+          <h3>Unfinished workout</h3>
+          <p>${workout.name || 'Workout Session'} · started ${startedText} · ${loggedSets} ${loggedSets === 1 ? 'set' : 'sets'} logged</p>
+        </div>
+        <div class="resume-session-actions">
+          <button class="btn btn-secondary" @click=${this._discardSession}>Discard</button>
+          <button class="btn btn-primary" @click=${this._resumeSession}>Resume</button>
+        </div>
+      </div>
+    `;
+  }
+
 // 6.D: Render Navigation Bar
   _renderNavBar() {
     const navItems = [
@@ -0,0 +1,257 @@
+/*
+===============================================
+SECTION 1: COMPONENT AND SERVICE IMPORTS
+===============================================
+*/
+import { LitElement, html } from "lit";
+import { getDataLocally } from "../services/local-storage.js";
+import { movementPatternSecondaryMuscles } from "../services/exercise-database.js";
+import { MEASUREMENT_MODES } from "../services/measurement-modes.js";
+import {
+  EXERCISE_TYPES, RECOVERY_COSTS, SECONDARY_MUSCLE_WEIGHTS, MUSCLE_GROUPS, MOVEMENT_PATTERNS, EQUIPMENT_OPTIONS,
+  createEmptyCustomExercise, getCustomExercises, saveCustomExercise, deleteCustomExercise,
+} from "../services/custom-exercises.js";
+
+/*
+===============================================
+SECTION 2: CUSTOM-EXERCISES-MODAL COMPONENT
+===============================================
+*/
+class CustomExercisesModal extends LitElement {
+  static properties = {
+    customExercises: { type: Array },
+    draft: { type: Object },
+    initialMuscleGroup: { type: String },
+    onClose: { type: Function },
+    onSaved: { type: Function },
+  };
+
+  constructor() {
+    super();
+    this.customExercises = getCustomExercises(getDataLocally());
+    this.draft = null;
+    this.initialMuscleGroup = null;
+    this.onSaved = null;
+  }
+
+  // Opened from the template editor with a muscle group, the modal goes straight to a new exercise
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.initialMuscleGroup !== null) this._startDraft();
+  }
+
+  _startDraft(exercise = null) {
+    const muscleGroup = MUSCLE_GROUPS.includes(this.initialMuscleGroup) ? this.initialMuscleGroup : '';
+    this.draft = exercise
+      ? { ...createEmptyCustomExercise(), ...exercise, equipment: [...exercise.equipment], secondaryMuscles: { ...exercise.secondaryMuscles } }
+      : { ...createEmptyCustomExercise(), muscleGroup };
+  }
+
+  _updateDraft(field, value) {
+    this.draft = { ...this.draft, [field]: value };
+  }
+
+  // Synergists start from the pattern's defaults and can be adjusted from there
+  _handlePatternChange(movementPattern) {
+    this.draft = { ...this.draft, movementPattern, secondaryMuscles: { ...(movementPatternSecondaryMuscles[movementPattern] || {}) } };
+  }
+
+  _toggleEquipment(item) {
+    const { equipment } = this.draft;
+    this._updateDraft('equipment', equipment.includes(item) ? equipment.filter(e => e !== item) : [...equipment, item]);
+  }
+
+  // Each tap moves a synergist to the next set credit, then back to none
+  _cycleSecondaryMuscle(muscle) {
+    const secondaryMuscles = { ...this.draft.secondaryMuscles };
+    const next = SECONDARY_MUSCLE_WEIGHTS[SECONDARY_MUSCLE_WEIGHTS.indexOf(secondaryMuscles[muscle]) + 1];
+    if (next) {
+      secondaryMuscles[muscle] = next;
+    } else {
+      delete secondaryMuscles[muscle];
+    }
+    this._updateDraft('secondaryMuscles', secondaryMuscles);
+  }
+
+  _handleSave() {
+    try {
+      const wasEditing = Boolean(this.draft.id);
+      this.customExercises = saveCustomExercise(getDataLocally(), this.draft);
+      const saved = this.customExercises.find(ex => ex.name === this.draft.name.trim());
+      this._notifyUpdated(wasEditing ? 'Exercise updated!' : 'Exercise added!');
+      if (this.onSaved) {
+        this.onSaved(saved);
+        return;
+      }
+      this.draft = null;
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _handleDelete(exercise) {
+    if (!confirm(`Delete ${exercise.name}? Past workouts and routines that use it keep their records.`)) return;
+    try {
+      this.customExercises = deleteCustomExercise(getDataLocally(), exercise.id);
+      this._notifyUpdated('Exercise deleted.');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _handleCancelDraft() {
+    if (this.onSaved) {
+      this.onClose?.();
+      return;
+    }
+    this.draft = null;
+  }
+
+  _notifyUpdated(message) {
+    this.dispatchEvent(new CustomEvent('custom-exercises-updated', { bubbles: true, composed: true }));
+    this._showToast(message, 'success');
+  }
+
+  _showToast(message, type) {
+    this.dispatchEvent(new CustomEvent('show-toast', {
+      detail: { message, type },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _handleOverlayClick(e) {
+    if (e.target === e.currentTarget && this.onClose) {
+      this.onClose();
+    }
+  }
+
+/*
+===============================================
+SECTION 3: RENDERING LOGIC
+===============================================
+*/
+  render() {
+    return html`
+      <div class="modal-overlay" @click=${this._handleOverlayClick}>
+        <div class="modal-content card" @click=${e => e.stopPropagation()}>
+          <div class="modal-header">
+            <h2 id="modal-title">${this.draft ? (this.draft.id ? 'Edit Exercise' : 'New Exercise') : 'Custom Exercises'}</h2>
+            <button class="close-button" @click=${this.onClose} aria-label="Close modal">✖</button>
+          </div>
+          ${this.draft ? this._renderForm() : this._renderList()}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderList() {
+    return html`
+      <p class="modal-subtitle">Exercises you add here can be used in routines, generated workouts and substitutions, and count toward your weekly volume.</p>
+      ${this.customExercises.length > 0 ? html`
+        <div class="custom-exercise-list">
+          ${this.customExercises.map(exercise => html`
+            <div class="routine-management-item">
+              <div class="custom-exercise-info">
+                <span>${exercise.name}</span>
+                <small>${exercise.muscleGroup} · ${exercise.movementPattern.replace(/_/g, ' ')} · ${exercise.equipment.join(', ').replace(/_/g, ' ')}</small>
+              </div>
+              <div class="routine-actions">
+                <button class="btn-icon" @click=${() => this._startDraft(exercise)} aria-label="Edit ${exercise.name}">✏️</button>
+                <button class="btn-icon btn-danger-icon" @click=${() => this._handleDelete(exercise)} aria-label="Delete ${exercise.name}">🗑️</button>
+              </div>
+            </div>
+          `)}
+        </div>
+      ` : html`<p>No custom exercises yet.</p>`}
+      <div class="button-group">
+        <button class="secondary-button" @click=${this.onClose}>Done</button>
+        <button class="cta-button" @click=${() => this._startDraft()}>Add Exercise</button>
+      </div>
+    `;
+  }
+
+  _renderForm() {
+    const draft = this.draft;
+    const toLabel = (key) => key.replace(/_/g, ' ');
+    const select = (field, options, placeholder = null, onChange = (value) => this._updateDraft(field, value)) => html`
+      <select id=${`custom-${field}`} @change=${e => onChange(e.target.value)}>
+        ${placeholder ? html`<option value="" ?selected=${!draft[field]}>${placeholder}</option>` : ''}
+        ${options.map(option => html`<option value=${option} ?selected=${draft[field] === option}>${toLabel(option)}</option>`)}
+      </select>
+    `;
+
+    return html`
+      <div class="custom-exercise-form">
+        <div class="input-group">
+          <label for="custom-name">Name</label>
+          <input id="custom-name" type="text" maxlength="40" placeholder="e.g. Plate-Loaded Low Row" .value=${draft.name} @input=${e => this._updateDraft('name', e.target.value)}>
+        </div>
+        <div class="custom-exercise-row">
+          <div class="input-group">
+            <label for="custom-muscleGroup">Primary Muscle</label>
+            ${select('muscleGroup', MUSCLE_GROUPS, 'Select')}
+          </div>
+          <div class="input-group">
+            <label for="custom-movementPattern">Movement Pattern</label>
+            ${select('movementPattern', MOVEMENT_PATTERNS, 'Select', (value) => this._handlePatternChange(value))}
+          </div>
+        </div>
+        <div class="custom-exercise-row">
+          <div class="input-group">
+            <label for="custom-type">Type</label>
+            ${select('type', EXERCISE_TYPES)}
+          </div>
+          <div class="input-group">
+            <label for="custom-recoveryCost">Recovery Cost</label>
+            ${select('recoveryCost', RECOVERY_COSTS)}
+          </div>
+          <div class="input-group">
+            <label for="custom-measurementMode">Measure</label>
+            <select id="custom-measurementMode" @change=${e => this._updateDraft('measurementMode', e.target.value)}>
+              ${Object.entries(MEASUREMENT_MODES).map(([mode, config]) => html`<option value=${mode} ?selected=${draft.measurementMode === mode}>${config.label}</option>`)}
+            </select>
+          </div>
+        </div>
+
+        <label>Equipment</label>
+        <div class="custom-exercise-chips">
+          ${EQUIPMENT_OPTIONS.map(item => html`
+            <button class="set-type-chip ${draft.equipment.includes(item) ? 'active' : ''}" @click=${() => this._toggleEquipment(item)}>${toLabel(item)}</button>
+          `)}
+        </div>
+
+        <label>Secondary Muscles</label>
+        <p class="modal-subtitle">Tap to credit a muscle with a quarter or half of each set.</p>
+        <div class="custom-exercise-chips">
+          ${MUSCLE_GROUPS.filter(muscle => muscle !== draft.muscleGroup).map(muscle => html`
+            <button class="set-type-chip ${draft.secondaryMuscles[muscle] ? 'active' : ''}" @click=${() => this._cycleSecondaryMuscle(muscle)}>
+              ${muscle}${draft.secondaryMuscles[muscle] ? ` ${Math.round(draft.secondaryMuscles[muscle] * 100)}%` : ''}
+            </button>
+          `)}
+        </div>
+
+        <label class="custom-exercise-checkbox">
+          <input type="checkbox" .checked=${draft.unilateral} @change=${e => this._updateDraft('unilateral', e.target.checked)}>
+          One side at a time
+        </label>
+
+        <div class="button-group">
+          <button class="secondary-button" @click=${this._handleCancelDraft}>Cancel</button>
+          <button class="cta-button" @click=${this._handleSave}>Save Exercise</button>
+        </div>
+      </div>
+    `;
+  }
+
+/*
+===============================================
+SECTION 4: ELEMENT DEFINITION
+===============================================
+*/
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define("custom-exercises-modal", CustomExercisesModal);
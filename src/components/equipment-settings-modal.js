@@ -6,6 +6,7 @@ SECTION 1: COMPONENT AND SERVICE IMPORTS
 import { LitElement, html, css } from "lit";
 import { saveDataLocally, getDataLocally } from "../services/local-storage.js";
 import { exerciseDatabase } from "../services/exercise-database.js";
+import { getInventory } from "../services/equipment-inventory.js";
 
 /*
 ===============================================
@@ -16,6 +17,7 @@ class EquipmentSettingsModal extends LitElement {
   static properties = {
     availableEquipment: { type: Array },
     allEquipmentOptions: { type: Array },
+    inventory: { type: Object },
     onClose: { type: Function },
   };
 
@@ -23,6 +25,8 @@ class EquipmentSettingsModal extends LitElement {
     super();
     this.allEquipmentOptions = this._getAllEquipmentOptions();
     this.availableEquipment = getDataLocally()?.availableEquipment || this.allEquipmentOptions;
+    this.units = localStorage.getItem('units') || 'lbs';
+    this.inventory = getInventory(getDataLocally(), this.units);
   }
 
   _getAllEquipmentOptions() {
@@ -41,8 +45,46 @@ class EquipmentSettingsModal extends LitElement {
     }
   }
 
+  _handleBarWeightInput(value) {
+    this.inventory = { ...this.inventory, barWeight: parseFloat(value) || 0 };
+  }
+
+  _handlePlateInput(index, field, value) {
+    const plates = this.inventory.plates.map((plate, i) => (i === index ? { ...plate, [field]: parseFloat(value) || 0 } : plate));
+    this.inventory = { ...this.inventory, plates };
+  }
+
+  _addPlate() {
+    this.inventory = { ...this.inventory, plates: [...this.inventory.plates, { weight: 0, pairs: 1 }] };
+  }
+
+  _removePlate(index) {
+    this.inventory = { ...this.inventory, plates: this.inventory.plates.filter((_, i) => i !== index) };
+  }
+
+  _handleDumbbellInput(field, value) {
+    this.inventory = { ...this.inventory, dumbbells: { ...this.inventory.dumbbells, [field]: parseFloat(value) || 0 } };
+  }
+
+  _handleMachineIncrementInput(value) {
+    this.inventory = { ...this.inventory, machineIncrement: parseFloat(value) || 0 };
+  }
+
+  _getValidatedInventory() {
+    const defaults = getInventory(null, this.units);
+    const { barWeight, plates, dumbbells, machineIncrement } = this.inventory;
+    const validDumbbells = dumbbells.min > 0 && dumbbells.step > 0 && dumbbells.max >= dumbbells.min;
+    return {
+      units: this.units,
+      barWeight: barWeight > 0 ? barWeight : defaults.barWeight,
+      plates: plates.filter(plate => plate.weight > 0 && plate.pairs > 0),
+      dumbbells: validDumbbells ? dumbbells : defaults.dumbbells,
+      machineIncrement: machineIncrement > 0 ? machineIncrement : defaults.machineIncrement,
+    };
+  }
+
   _handleSave() {
-    saveDataLocally({ availableEquipment: this.availableEquipment });
+    saveDataLocally({ availableEquipment: this.availableEquipment, equipmentInventory: this._getValidatedInventory() });
     this.dispatchEvent(new CustomEvent('equipment-updated', { bubbles: true, composed: true }));
     if (this.onClose) {
       this.onClose();
@@ -81,6 +123,8 @@ SECTION 3: RENDERING LOGIC
             `)}
           </div>
 
+          ${this._renderInventory()}
+
           <div class="button-group">
             <button class="secondary-button" @click=${this.onClose}>Cancel</button>
             <button class="cta-button" @click=${this._handleSave}>Save Equipment</button>
@@ -90,6 +134,54 @@ SECTION 3: RENDERING LOGIC
     `;
   }
 
+  _renderInventory() {
+    const { barWeight, plates, dumbbells, machineIncrement } = this.inventory;
+    return html`
+      <div class="inventory-section">
+        <h3>Loading Equipment (${this.units})</h3>
+        <p class="modal-subtitle">Prescribed weights are rounded to loads you can actually build.</p>
+
+        <div class="input-group">
+          <label for="bar-weight">Bar Weight</label>
+          <input id="bar-weight" type="number" inputmode="decimal" .value=${barWeight} @input=${e => this._handleBarWeightInput(e.target.value)}>
+        </div>
+
+        <div class="input-group">
+          <label>Plate Pairs</label>
+          ${plates.map((plate, index) => html`
+            <div class="inventory-plate-row">
+              <input type="number" inputmode="decimal" aria-label="Plate weight" .value=${plate.weight} @input=${e => this._handlePlateInput(index, 'weight', e.target.value)}>
+              <span>× pairs</span>
+              <input type="number" inputmode="numeric" aria-label="Number of pairs" .value=${plate.pairs} @input=${e => this._handlePlateInput(index, 'pairs', e.target.value)}>
+              <button class="btn-icon-sm" @click=${() => this._removePlate(index)} aria-label="Remove plate">✖</button>
+            </div>
+          `)}
+          <button class="secondary-button" @click=${this._addPlate}>Add Plate</button>
+        </div>
+
+        <div class="inventory-dumbbell-row">
+          <div class="input-group">
+            <label for="dumbbell-min">Lightest Dumbbell</label>
+            <input id="dumbbell-min" type="number" inputmode="decimal" .value=${dumbbells.min} @input=${e => this._handleDumbbellInput('min', e.target.value)}>
+          </div>
+          <div class="input-group">
+            <label for="dumbbell-max">Heaviest Dumbbell</label>
+            <input id="dumbbell-max" type="number" inputmode="decimal" .value=${dumbbells.max} @input=${e => this._handleDumbbellInput('max', e.target.value)}>
+          </div>
+          <div class="input-group">
+            <label for="dumbbell-step">Step</label>
+            <input id="dumbbell-step" type="number" inputmode="decimal" .value=${dumbbells.step} @input=${e => this._handleDumbbellInput('step', e.target.value)}>
+          </div>
+        </div>
+
+        <div class="input-group">
+          <label for="machine-increment">Machine & Cable Stack Increment</label>
+          <input id="machine-increment" type="number" inputmode="decimal" .value=${machineIncrement} @input=${e => this._handleMachineIncrementInput(e.target.value)}>
+        </div>
+      </div>
+    `;
+  }
+
 /*
 ===============================================
 SECTION 4: STYLES AND ELEMENT DEFINITION
@@ -5,6 +5,7 @@ SECTION 1: COMPONENT AND SERVICE IMPORTS
 */
 import { LitElement, html } from "lit";
 import { saveDataLocally, getDataLocally } from "../services/local-storage.js";
+import { getGoalProgress } from "../services/workout-history.js";
 import "./set-goal-modal.js";
 
 /*
@@ -22,6 +23,7 @@ class GoalsView extends LitElement {
   constructor() {
     super();
     this.goals = [];
+    this.workouts = [];
     this.isLoading = true;
     this.showSetGoalModal = false;
   }
@@ -41,6 +43,7 @@ SECTION 3: LIFECYCLE AND DATA FETCHING
     try {
       const data = getDataLocally();
       this.goals = data?.goals || [];
+      this.workouts = data?.workouts || [];
     } catch (error) {
       console.error("Failed to load goals:", error);
     } finally {
@@ -99,15 +102,19 @@ SECTION 5: RENDERING LOGIC
             `
           : html`
               <div class="goals-list">
-                ${this.goals.map(goal => html`
-                  <div class="card goal-card">
-                    <h4>${goal.exercise}</h4>
-                    <p>Target: ${goal.targetWeight} ${goal.units || 'lbs'} x ${goal.targetReps} reps</p>
-                    <div class="progress-bar">
-                      <div class="progress-fill" style="width: 0%;"></div>
+                ${this.goals.map(goal => {
+                  const progress = getGoalProgress(goal, this.workouts);
+                  return html`
+                    <div class="card goal-card ${progress.completed ? 'completed' : ''}">
+                      <h4>${goal.exercise}</h4>
+                      <p>Target: ${goal.targetWeight} ${goal.units || 'lbs'} x ${goal.targetReps} reps</p>
+                      ${progress.best ? html`<p class="goal-best">${progress.completed ? `Achieved ${new Date(progress.completedDate).toLocaleDateString()}` : `Best: ${progress.best.weight} x ${progress.best.reps}`}</p>` : ''}
+                      <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${progress.percent}%;"></div>
+                      </div>
                     </div>
-                  </div>
-                `)}
+                  `;
+                })}
               </div>
             `}
       </div>
@@ -7,6 +7,17 @@
 
 import { LitElement, html } from "lit";
 import { getDataLocally } from "../services/local-storage.js";
+import { calculateSetVolume, calculateSetE1RM, describeSet } from "../services/set-types.js";
+import { getEffectiveLoad } from "../services/bodyweight-loading.js";
+import { getSideImbalance, getWeakerSideReps } from "../services/unilateral-sets.js";
+import { describeDeviation } from "../services/session-deviations.js";
+import { EFFORT_SCALES, getEffortScale, hasEffortRating, formatEffort, fromRir, toRir } from "../services/effort-scale.js";
+import { MEASUREMENT_FIELDS, MEASUREMENT_MODES, getSetMetricValue, describeMeasuredSet, formatSeconds } from "../services/measurement-modes.js";
+import { getWorkoutKey, editWorkout, deleteWorkout, undoLastHistoryEdit, describeHistoryEdit } from "../services/workout-history.js";
+
+// Stored set values a correction can change; `reps` of a unilateral set follows its sides
+const EDITABLE_SET_FIELDS = ['weight', 'reps', 'leftReps', 'rightReps', 'durationSeconds', 'distanceMeters'];
+const SIDE_FIELD_LABELS = { leftReps: 'LEFT', rightReps: 'RIGHT' };
 
 class HistoryView extends LitElement {
   static properties = {
@@ -20,6 +31,9 @@ class HistoryView extends LitElement {
     filterTerm: { type: String },
     groupBy: { type: String },
     units: { type: String },
+    historyEdits: { type: Array },
+    editingKey: { type: String },
+    editDraft: { type: Object },
   };
 
   constructor() {
@@ -34,6 +48,10 @@ class HistoryView extends LitElement {
     this.filterTerm = "all";
     this.groupBy = "workout";
     this.units = localStorage.getItem('units') || 'lbs';
+    this.effortScale = 'rir';
+    this.historyEdits = [];
+    this.editingKey = null;
+    this.editDraft = null;
   }
   
   connectedCallback() {
@@ -66,6 +84,8 @@ class HistoryView extends LitElement {
 
     try {
       const data = getDataLocally();
+      this.effortScale = getEffortScale(data);
+      this.historyEdits = data?.historyEdits || [];
       if (data && data.workouts && Array.isArray(data.workouts)) {
         // Sort workouts by date, newest to oldest for display
         const sortedWorkouts = data.workouts
@@ -100,12 +120,10 @@ class HistoryView extends LitElement {
     return icons[category] || icons['default'];
   }
 
-  _convertWeight(weight) {
+  // Sessions save weights in the units they were typed in, so history shows them as stored
+  _formatWeight(weight) {
     const numWeight = parseFloat(weight) || 0;
-    if (this.units === 'kg') {
-      return (numWeight * 0.453592).toFixed(1);
-    }
-    return numWeight.toString();
+    return String(Math.round(numWeight * 10) / 10);
   }
   
   updated(changedProperties) {
@@ -115,21 +133,9 @@ class HistoryView extends LitElement {
     }
   }
 
-  // Epley formula for 1RM estimation
-  _calculate1RM(weight, reps) {
-    const w = parseFloat(weight) || 0;
-    const r = parseInt(reps) || 1;
-    if (r === 1) return w;
-    return w * (1 + r / 30);
-  }
-
   _calculateVolume(exercises) {
     return exercises.reduce((total, exercise) => {
-      const exerciseVolume = (exercise.completedSets || []).reduce((sum, set) => {
-        const weight = parseFloat(set.weight) || 0;
-        const reps = parseInt(set.reps) || 0;
-        return sum + (reps * weight);
-      }, 0);
+      const exerciseVolume = (exercise.completedSets || []).reduce((sum, set) => sum + calculateSetVolume(set), 0);
       return total + exerciseVolume;
     }, 0);
   }
@@ -151,26 +157,33 @@ class HistoryView extends LitElement {
             labels: [],
             data: [],
             volumeData: [],
+            metric: MEASUREMENT_MODES[exercise.measurementMode]?.metric || null,
           };
         }
+
+        const metric = MEASUREMENT_MODES[exercise.measurementMode]?.metric;
+        if (metric) {
+          this._processMeasuredExercise(exercise, workoutDate, exerciseData[exercise.name], personalRecords);
+          return;
+        }
         
         let dailyMax1RM = 0;
         let dailyVolume = 0;
         (exercise.completedSets || []).forEach(set => {
-          const weight = parseFloat(set.weight) || 0;
+          const weight = getEffectiveLoad(set);
           const reps = parseInt(set.reps) || 0;
           if (weight > 0 && reps > 0) {
-            const estimated1RM = this._calculate1RM(weight, reps);
+            const estimated1RM = calculateSetE1RM(set);
             if (estimated1RM > dailyMax1RM) {
               dailyMax1RM = estimated1RM;
             }
-            dailyVolume += reps * weight;
+            dailyVolume += calculateSetVolume(set);
 
             // Update personal records
             if (!personalRecords[exercise.name] || estimated1RM > personalRecords[exercise.name].oneRepMax) {
               personalRecords[exercise.name] = {
-                oneRepMax: Math.round(parseFloat(this._convertWeight(estimated1RM))),
-                weight: this._convertWeight(weight),
+                oneRepMax: Math.round(parseFloat(this._formatWeight(estimated1RM))),
+                weight: this._formatWeight(weight),
                 reps: reps,
                 date: workoutDate,
               };
@@ -180,8 +193,8 @@ class HistoryView extends LitElement {
 
         if (dailyMax1RM > 0) {
           exerciseData[exercise.name].labels.push(workoutDate);
-          exerciseData[exercise.name].data.push(parseFloat(this._convertWeight(dailyMax1RM)));
-          exerciseData[exercise.name].volumeData.push(parseFloat(this._convertWeight(dailyVolume)));
+          exerciseData[exercise.name].data.push(parseFloat(this._formatWeight(dailyMax1RM)));
+          exerciseData[exercise.name].volumeData.push(parseFloat(this._formatWeight(dailyVolume)));
         }
       });
     });
@@ -189,6 +202,137 @@ class HistoryView extends LitElement {
     return { exerciseData, personalRecords };
   }
 
+  // Holds, carries and reps-only sets chart their best and total measurement instead of load
+  _processMeasuredExercise(exercise, workoutDate, chartData, personalRecords) {
+    const values = exercise.completedSets.map(set => getSetMetricValue(set, exercise.measurementMode));
+    const dailyBest = Math.max(0, ...values);
+    if (dailyBest <= 0) return;
+
+    chartData.labels.push(workoutDate);
+    chartData.data.push(dailyBest);
+    chartData.volumeData.push(values.reduce((sum, value) => sum + value, 0));
+
+    if (!personalRecords[exercise.name] || dailyBest > personalRecords[exercise.name].best) {
+      personalRecords[exercise.name] = { best: dailyBest, date: workoutDate };
+    }
+  }
+
+  _formatMetricValue(value, metric) {
+    if (metric.unit === 's') return formatSeconds(value);
+    return `${Math.round(value)} ${metric.unit}`;
+  }
+
+  _renderImbalanceFlag(exercise) {
+    const imbalance = getSideImbalance(exercise.completedSets);
+    if (!imbalance) return '';
+    return html`
+      <p class="imbalance-flag">
+        ⚠️ ${imbalance.weakerSide === 'left' ? 'Left' : 'Right'} side ${Math.round(imbalance.ratio * 100)}% behind
+        (L ${imbalance.left} / R ${imbalance.right} reps)
+      </p>
+    `;
+  }
+
+  _renderDeviations(workout) {
+    if (!workout.deviations?.length) return '';
+    return html`
+      <div class="workout-deviations">
+        <strong>Changed from plan</strong>
+        <ul>
+          ${workout.deviations.map(deviation => html`<li>${describeDeviation(deviation)}</li>`)}
+        </ul>
+      </div>
+    `;
+  }
+
+  _renderWorkoutEditor() {
+    const draft = this.editDraft;
+    const date = new Date(draft.date);
+    const dateValue = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const effortLabel = EFFORT_SCALES[this.effortScale].label;
+
+    return html`
+      <div class="workout-editor" @click=${(e) => e.stopPropagation()}>
+        <div class="workout-editor-row">
+          <label>Name <input type="text" .value=${draft.name || ''} @input=${(e) => this._updateDraft(d => { d.name = e.target.value; })} /></label>
+          <label>Date <input type="date" .value=${dateValue} @change=${(e) => this._handleDraftDate(e.target.value)} /></label>
+        </div>
+        <label>Session Notes
+          <textarea class="note-input" rows="2" .value=${draft.notes || ''} @input=${(e) => this._updateDraft(d => { d.notes = e.target.value; })}></textarea>
+        </label>
+        ${draft.exercises.map((exercise, exerciseIndex) => html`
+          <div class="workout-editor-exercise">
+            <input
+              type="text"
+              class="workout-editor-exercise-name"
+              .value=${exercise.name}
+              @input=${(e) => this._updateDraft(d => { d.exercises[exerciseIndex].name = e.target.value; })}
+              aria-label="Exercise name"
+            />
+            <textarea
+              class="note-input"
+              rows="1"
+              placeholder="Exercise note"
+              .value=${exercise.notes || ''}
+              @input=${(e) => this._updateDraft(d => { d.exercises[exerciseIndex].notes = e.target.value; })}
+            ></textarea>
+            ${exercise.completedSets.length === 0 ? html`<p class="workout-editor-empty">No sets left; this exercise will be removed.</p>` : ''}
+            ${exercise.completedSets.map((set, setIndex) => html`
+              <div class="workout-editor-set">
+                <span class="set-number">${setIndex + 1}</span>
+                ${EDITABLE_SET_FIELDS
+                  .filter(field => set[field] !== undefined && !(field === 'reps' && set.leftReps !== undefined))
+                  .map(field => html`
+                    <label>${SIDE_FIELD_LABELS[field] || MEASUREMENT_FIELDS[field].label}${field === 'weight' ? ` (${this.units})` : ''}
+                      <input
+                        type="number"
+                        inputmode=${MEASUREMENT_FIELDS[field]?.inputmode || 'numeric'}
+                        .value=${String(set[field])}
+                        @change=${(e) => this._handleDraftSetInput(exerciseIndex, setIndex, field, e.target.value)}
+                      />
+                    </label>
+                  `)}
+                <label>${effortLabel}
+                  <input
+                    type="number"
+                    inputmode="decimal"
+                    .value=${hasEffortRating(set) ? String(fromRir(set.rir, this.effortScale)) : ''}
+                    @change=${(e) => this._handleDraftSetInput(exerciseIndex, setIndex, 'rir', e.target.value)}
+                  />
+                </label>
+                <button class="btn-icon-sm" @click=${() => this._removeDraftSet(exerciseIndex, setIndex)} aria-label="Delete Set ${setIndex + 1}">×</button>
+              </div>
+            `)}
+          </div>
+        `)}
+        <div class="history-edit-actions">
+          <button class="btn btn-secondary" @click=${this._cancelEdit}>Cancel</button>
+          <button class="btn btn-primary" @click=${this._saveEdit}>Save Changes</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderUndoBar() {
+    const [lastEdit] = this.historyEdits;
+    if (!lastEdit) return '';
+    return html`
+      <div class="history-undo-bar">
+        <span>${describeHistoryEdit(lastEdit)}</span>
+        <button class="btn btn-secondary" @click=${this._undoLastEdit}>Undo</button>
+      </div>
+    `;
+  }
+
+  _describeSet(exercise, set, weightUnit) {
+    const formatWeight = weight => this._formatWeight(weight);
+    const description = MEASUREMENT_MODES[exercise.measurementMode]?.metric
+      ? describeMeasuredSet(set, exercise.measurementMode, formatWeight, weightUnit)
+      : describeSet(set, formatWeight, weightUnit);
+    const withEffort = hasEffortRating(set) ? `${description} · ${formatEffort(set.rir, this.effortScale)}` : description;
+    return set.notes ? `${withEffort} — “${set.notes}”` : withEffort;
+  }
+
   createRenderRoot() {
     return this;
   }
@@ -217,6 +361,9 @@ class HistoryView extends LitElement {
 
     for (const exerciseName in exerciseData) {
       const safeExerciseName = exerciseName.replace(/[^a-zA-Z0-9]/g, '-');
+      const { metric } = exerciseData[exerciseName];
+      const progressLabel = metric ? `${metric.best} (${metric.unit})` : `Est. 1RM (${unitLabel})`;
+      const totalLabel = metric ? `${metric.total} (${metric.unit})` : `Total Volume (${unitLabel})`;
       
       // 1RM Chart
       const canvas1RM = this.querySelector(`#chart-1rm-${safeExerciseName}`);
@@ -227,7 +374,7 @@ class HistoryView extends LitElement {
           data: {
             labels: exerciseData[exerciseName].labels,
             datasets: [{
-              label: `Estimated 1RM (${unitLabel})`,
+              label: metric ? progressLabel : `Estimated 1RM (${unitLabel})`,
               data: exerciseData[exerciseName].data,
               borderColor: 'var(--color-accent-primary)',
               backgroundColor: 'rgba(0, 212, 255, 0.2)',
@@ -255,7 +402,9 @@ class HistoryView extends LitElement {
                 borderWidth: 1,
                 callbacks: {
                   label: (context) => {
-                    return `Est. 1RM: ${Math.round(context.raw)} ${unitLabel}`;
+                    return metric
+                      ? `${metric.best}: ${this._formatMetricValue(context.raw, metric)}`
+                      : `Est. 1RM: ${Math.round(context.raw)} ${unitLabel}`;
                   }
                 }
               }
@@ -273,7 +422,7 @@ class HistoryView extends LitElement {
                 beginAtZero: true,
                 title: {
                   display: true,
-                  text: `Est. 1RM (${unitLabel})`,
+                  text: progressLabel,
                   color: 'var(--color-text-secondary)'
                 },
                 grid: {
@@ -297,7 +446,7 @@ class HistoryView extends LitElement {
           data: {
             labels: exerciseData[exerciseName].labels,
             datasets: [{
-              label: `Total Volume (${unitLabel})`,
+              label: totalLabel,
               data: exerciseData[exerciseName].volumeData,
               backgroundColor: 'rgba(0, 212, 255, 0.6)',
               borderColor: 'var(--color-accent-primary)',
@@ -319,7 +468,9 @@ class HistoryView extends LitElement {
                 borderWidth: 1,
                 callbacks: {
                   label: (context) => {
-                    return `Volume: ${Math.round(context.raw)} ${unitLabel}`;
+                    return metric
+                      ? `${metric.total}: ${this._formatMetricValue(context.raw, metric)}`
+                      : `Volume: ${Math.round(context.raw)} ${unitLabel}`;
                   }
                 }
               }
@@ -337,7 +488,7 @@ class HistoryView extends LitElement {
                 beginAtZero: true,
                 title: {
                   display: true,
-                  text: `Total Volume (${unitLabel})`,
+                  text: totalLabel,
                   color: 'var(--color-text-secondary)'
                 },
                 grid: {
@@ -373,10 +524,12 @@ class HistoryView extends LitElement {
     let tempWorkouts = [...this.workouts];
 
     if (this.searchTerm) {
+      const matches = text => Boolean(text) && text.toLowerCase().includes(this.searchTerm);
+      // A matching session note keeps the whole session; otherwise exercises match by name or notes
       tempWorkouts = tempWorkouts.map(workout => ({
         ...workout,
-        exercises: (workout.exercises || []).filter(exercise =>
-          exercise.name && exercise.name.toLowerCase().includes(this.searchTerm)
+        exercises: matches(workout.notes) ? (workout.exercises || []) : (workout.exercises || []).filter(exercise =>
+          matches(exercise.name) || matches(exercise.notes) || (exercise.completedSets || []).some(set => matches(set.notes))
         )
       })).filter(workout => workout.exercises.length > 0);
     }
@@ -400,6 +553,113 @@ class HistoryView extends LitElement {
     };
   }
   
+  _startEdit(e, workout) {
+    e.stopPropagation();
+    const key = getWorkoutKey(workout);
+    const stored = this.workouts.find(w => getWorkoutKey(w) === key);
+    this.editingKey = key;
+    this.editDraft = JSON.parse(JSON.stringify(stored));
+  }
+
+  _cancelEdit() {
+    this.editingKey = null;
+    this.editDraft = null;
+  }
+
+  _updateDraft(mutate) {
+    const draft = JSON.parse(JSON.stringify(this.editDraft));
+    mutate(draft);
+    this.editDraft = draft;
+  }
+
+  // Keeps the time of day so a corrected date doesn't reorder same-day sessions
+  _handleDraftDate(value) {
+    if (!value) return;
+    const [year, month, day] = value.split('-').map(Number);
+    this._updateDraft(draft => {
+      const date = new Date(draft.date);
+      date.setFullYear(year, month - 1, day);
+      draft.date = date.toISOString();
+    });
+  }
+
+  _handleDraftSetInput(exerciseIndex, setIndex, field, value) {
+    this._updateDraft(draft => {
+      const set = draft.exercises[exerciseIndex].completedSets[setIndex];
+      const number = parseFloat(value) || 0;
+      // Weights stay in the units they were logged in, as shown in the list
+      if (field === 'weight') {
+        set.weight = number;
+      } else if (field === 'rir') {
+        set.rir = value === '' ? null : toRir(value, this.effortScale);
+      } else {
+        set[field] = field === 'distanceMeters' ? number : Math.round(number);
+      }
+      if (field === 'leftReps' || field === 'rightReps') {
+        set.reps = getWeakerSideReps(set.leftReps, set.rightReps);
+      }
+    });
+  }
+
+  _removeDraftSet(exerciseIndex, setIndex) {
+    this._updateDraft(draft => {
+      const exercise = draft.exercises[exerciseIndex];
+      exercise.completedSets = exercise.completedSets.filter((_, index) => index !== setIndex);
+    });
+  }
+
+  _saveEdit() {
+    const exercises = this.editDraft.exercises
+      .map(exercise => ({ ...exercise, name: exercise.name.trim(), notes: (exercise.notes || '').trim() || undefined }))
+      .filter(exercise => exercise.completedSets.length > 0);
+    if (exercises.length === 0) {
+      this._showToast("A workout needs at least one set. Delete the workout instead.", 'error');
+      return;
+    }
+    if (exercises.some(exercise => !exercise.name)) {
+      this._showToast("Every exercise needs a name.", 'error');
+      return;
+    }
+
+    this._applyHistoryChange(
+      data => editWorkout(data, this.editingKey, {
+        name: this.editDraft.name.trim() || 'Workout Session',
+        date: this.editDraft.date,
+        notes: (this.editDraft.notes || '').trim(),
+        exercises
+      }),
+      "Workout updated."
+    );
+  }
+
+  _deleteWorkout(e, workout) {
+    e.stopPropagation();
+    if (!confirm(`Delete ${workout.name || 'this workout'} from ${new Date(workout.date).toLocaleDateString()}?`)) return;
+    this._applyHistoryChange(data => deleteWorkout(data, getWorkoutKey(workout)), "Workout deleted.");
+  }
+
+  _undoLastEdit() {
+    this._applyHistoryChange(data => undoLastHistoryEdit(data), "Change undone.");
+  }
+
+  _applyHistoryChange(change, message) {
+    try {
+      change(getDataLocally());
+      this._cancelEdit();
+      this.expandedWorkouts = {};
+      this.fetchWorkoutHistory();
+      this.dispatchEvent(new CustomEvent('history-updated', { bubbles: true, composed: true }));
+      this._showToast(message, 'success');
+    } catch (error) {
+      console.error("History edit failed:", error);
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _showToast(message, type) {
+    this.dispatchEvent(new CustomEvent('show-toast', { detail: { message, type }, bubbles: true, composed: true }));
+  }
+
   _formatDuration(seconds) {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
@@ -415,11 +675,18 @@ class HistoryView extends LitElement {
             <h3 class="workout-name">${workout.name || 'Workout Session'}</h3>
             <span class="workout-date">${new Date(workout.date).toLocaleDateString()}</span>
           </div>
+          ${this.editingKey === getWorkoutKey(workout) ? this._renderWorkoutEditor() : html`
           <div class="workout-details ${this.expandedWorkouts[workoutIndex] ? 'expanded' : 'collapsed'}">
             <div class="workout-metrics">
-              <p>Total Volume: ${this._convertWeight(this._calculateVolume(workout.exercises))} ${weightUnit}</p>
+              <p>Total Volume: ${this._formatWeight(this._calculateVolume(workout.exercises))} ${weightUnit}</p>
               <p>Duration: ${this._formatDuration(workout.durationInSeconds || 0)}</p>
             </div>
+            ${workout.notes ? html`<p class="history-note session">📝 ${workout.notes}</p>` : ''}
+            <div class="history-edit-actions">
+              <button class="btn btn-secondary" @click=${(e) => this._startEdit(e, workout)}>Edit</button>
+              <button class="btn btn-secondary danger" @click=${(e) => this._deleteWorkout(e, workout)}>Delete</button>
+            </div>
+            ${this._renderDeviations(workout)}
             ${(workout.exercises || []).map(exercise => html`
               <div class="exercise-item">
                 <div class="exercise-header">
@@ -428,14 +695,17 @@ class HistoryView extends LitElement {
                     <h4 class="exercise-name">${exercise.name}</h4>
                   </div>
                 </div>
+                ${this._renderImbalanceFlag(exercise)}
+                ${exercise.notes ? html`<p class="history-note">📝 ${exercise.notes}</p>` : ''}
                 <ul class="set-list">
                   ${(exercise.completedSets || []).map((set, setIndex) => html`
-                    <li class="set-item">Set ${setIndex + 1}: ${set.reps} reps @ ${this._convertWeight(set.weight)} ${weightUnit}</li>
+                    <li class="set-item">Set ${setIndex + 1}: ${this._describeSet(exercise, set, weightUnit)}</li>
                   `)}
                 </ul>
               </div>
             `)}
           </div>
+          `}
         </div>
       `);
     } else if (this.groupBy === "muscle-group") {
@@ -452,6 +722,8 @@ class HistoryView extends LitElement {
             completedSets: exercise.completedSets || [],
             category: exercise.category,
             name: exercise.name,
+            measurementMode: exercise.measurementMode,
+            notes: exercise.notes,
           });
         });
       });
@@ -469,9 +741,11 @@ class HistoryView extends LitElement {
                   <span class="exercise-icon">${this._getExerciseIcon(exercise.category)}</span>
                   ${exercise.name} on ${exercise.date}
                 </h4>
+                ${this._renderImbalanceFlag(exercise)}
+                ${exercise.notes ? html`<p class="history-note">📝 ${exercise.notes}</p>` : ''}
                 <ul class="set-list">
                   ${exercise.completedSets.map((set, setIndex) => html`
-                    <li class="set-item">Set ${setIndex + 1}: ${set.reps} reps @ ${this._convertWeight(set.weight)} ${weightUnit}</li>
+                    <li class="set-item">Set ${setIndex + 1}: ${this._describeSet(exercise, set, weightUnit)}</li>
                   `)}
                 </ul>
               </div>
@@ -483,9 +757,13 @@ class HistoryView extends LitElement {
     return html``;
   }
   
+  _toCsvText(text) {
+    return `"${(text || '').replace(/"/g, '""')}"`;
+  }
+
   _exportData() {
     // Flatten workout data into a CSV format
-    const headers = ["date", "workoutName", "exerciseName", "category", "muscleGroup", "setNumber", "reps", "weight_lbs", "weight_kg", "rir"];
+    const headers = ["date", "workoutName", "exerciseName", "category", "muscleGroup", "setNumber", "reps", "weight_lbs", "weight_kg", "rir", "rpe", "setType", "segments", "measurementMode", "durationSeconds", "distanceMeters", "bodyweight", "loading", "leftReps", "rightReps", "setNotes", "exerciseNotes", "workoutNotes"];
     let csvContent = headers.join(",") + "\n";
 
     this.workouts.forEach(workout => {
@@ -499,10 +777,23 @@ class HistoryView extends LitElement {
             `"${exercise.category}"`,
             `"${exercise.muscleGroup}"`,
             setIndex + 1,
-            set.reps,
-            set.weight,
-            (parseFloat(set.weight) * 0.453592).toFixed(1),
-            set.rir || 0
+            set.reps ?? '',
+            set.weight ?? '',
+            set.weight !== undefined ? (parseFloat(set.weight) * 0.453592).toFixed(1) : '',
+            hasEffortRating(set) ? set.rir : '',
+            hasEffortRating(set) ? fromRir(set.rir, 'rpe') : '',
+            set.type || 'straight',
+            `"${(set.segments || []).map(segment => segment.weight ? `${segment.reps}@${segment.weight}` : segment.reps).join('|')}"`,
+            exercise.measurementMode || 'weight_reps',
+            set.durationSeconds ?? '',
+            set.distanceMeters ?? '',
+            set.bodyweight ?? '',
+            set.bodyweight !== undefined ? (set.assisted ? 'assisted' : (parseFloat(set.weight) > 0 ? 'weighted' : 'bodyweight')) : '',
+            set.leftReps ?? '',
+            set.rightReps ?? '',
+            this._toCsvText(set.notes),
+            this._toCsvText(exercise.notes),
+            this._toCsvText(workout.notes)
           ];
           csvContent += row.join(",") + "\n";
         });
@@ -540,6 +831,7 @@ class HistoryView extends LitElement {
       return html`
         <div class="container empty-state-container">
           <h1>Workout History</h1>
+          ${this._renderUndoBar()}
           <div class="card">
             <h3>No Workouts Logged Yet</h3>
             <p>Once you complete a workout, your history and progress charts will appear here.</p>
@@ -563,6 +855,8 @@ class HistoryView extends LitElement {
           </div>
         </header>
 
+        ${this._renderUndoBar()}
+
         <div class="card summary-card">
           <h3>Workout Summary</h3>
           <p>You have logged <strong>${this.workouts.length}</strong> workouts.</p>
@@ -574,7 +868,7 @@ class HistoryView extends LitElement {
             <input
               id="search-bar"
               type="text"
-              placeholder="Search exercises..."
+              placeholder="Search exercises and notes..."
               @input=${this._handleSearch}
               .value=${this.searchTerm}
             />
@@ -613,10 +907,7 @@ class HistoryView extends LitElement {
               </div>
               <div class="personal-record">
                 <strong>Personal Record:</strong> 
-                ${personalRecords[exerciseName] 
-                  ? `${personalRecords[exerciseName].weight} ${this.units} x ${personalRecords[exerciseName].reps} reps (Est. 1RM: ${personalRecords[exerciseName].oneRepMax} ${this.units}) on ${personalRecords[exerciseName].date}`
-                  : 'No records yet.'
-                }
+                ${this._renderPersonalRecord(personalRecords[exerciseName], exerciseData[exerciseName].metric)}
               </div>
               <div class="chart-container">
                 <canvas id="chart-1rm-${safeExerciseName}"></canvas>
@@ -629,6 +920,12 @@ class HistoryView extends LitElement {
     `;
   }
 
+  _renderPersonalRecord(record, metric) {
+    if (!record) return 'No records yet.';
+    if (metric) return `${metric.best}: ${this._formatMetricValue(record.best, metric)} on ${record.date}`;
+    return `${record.weight} ${this.units} x ${record.reps} reps (Est. 1RM: ${record.oneRepMax} ${this.units}) on ${record.date}`;
+  }
+
   renderSkeleton() {
     return html`
       <div class="container">
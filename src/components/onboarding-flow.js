@@ -34,9 +34,12 @@ class OnboardingFlow extends LitElement {
   constructor() {
     super();
     this.step = 0;
+    const units = localStorage.getItem('units') || 'lbs';
     this.userData = {
       age: 25,
       sex: 'male',
+      bodyweight: units === 'kg' ? 75 : 165,
+      bodyweightUnits: units,
       training_months: 6,
       sleep_hours: 8,
       stress_level: 5,
@@ -57,6 +60,9 @@ class OnboardingFlow extends LitElement {
         fields: [
           { key: "sex", label: "Biological Sex", type: "choice", options: [{ value: "male", text: "Male" }, { value: "female", text: "Female" }] },
           { key: "age", label: "Age", type: "number", min: 13, max: 99 },
+          units === 'kg'
+            ? { key: "bodyweight", label: "Bodyweight (kg)", type: "number", min: 30, max: 300 }
+            : { key: "bodyweight", label: "Bodyweight (lbs)", type: "number", min: 66, max: 660 },
         ],
       },
       {
@@ -1,4 +1,5 @@
 import { LitElement, html, css } from "lit";
+import { READINESS_SCHEMA, createDefaultReadiness } from "../services/autoregulation-engine.js";
 
 class ReadinessModal extends LitElement {
   static properties = {
@@ -53,12 +54,7 @@ class ReadinessModal extends LitElement {
 
   constructor() {
     super();
-    this.readinessData = {
-      sleep_quality: 7,
-      energy_level: 7,
-      motivation: 7,
-      muscle_soreness: 3, // Lower is better
-    };
+    this.readinessData = createDefaultReadiness();
   }
   
   // SECTION 2: EVENT HANDLERS
@@ -100,58 +96,21 @@ class ReadinessModal extends LitElement {
           <p class="modal-subtitle">How are you feeling today? This helps us adjust your workout for the best results.</p>
           
           <div class="form-inputs">
-            <div class="input-group">
-              <label for="sleep_quality">Sleep Quality (1-10)</label>
-              <input
-                type="number"
-                inputmode="numeric"
-                pattern="[1-9]|10"
-                id="sleep_quality"
-                .value=${this.readinessData.sleep_quality}
-                data-field="sleep_quality"
-                @input=${this._handleNumberInput}
-                min="1" max="10"
-              />
-            </div>
-            <div class="input-group">
-              <label for="energy_level">Energy Level (1-10)</label>
-              <input
-                type="number"
-                inputmode="numeric"
-                pattern="[1-9]|10"
-                id="energy_level"
-                .value=${this.readinessData.energy_level}
-                data-field="energy_level"
-                @input=${this._handleNumberInput}
-                min="1" max="10"
-              />
-            </div>
-            <div class="input-group">
-              <label for="motivation">Motivation (1-10)</label>
-              <input
-                type="number"
-                inputmode="numeric"
-                pattern="[1-9]|10"
-                id="motivation"
-                .value=${this.readinessData.motivation}
-                data-field="motivation"
-                @input=${this._handleNumberInput}
-                min="1" max="10"
-              />
-            </div>
-            <div class="input-group">
-              <label for="muscle_soreness">Muscle Soreness (1-10)</label>
-              <input
-                type="number"
-                inputmode="numeric"
-                pattern="[1-9]|10"
-                id="muscle_soreness"
-                .value=${this.readinessData.muscle_soreness}
-                data-field="muscle_soreness"
-                @input=${this._handleNumberInput}
-                min="1" max="10"
-              />
-            </div>
+            ${Object.entries(READINESS_SCHEMA).map(([field, config]) => html`
+              <div class="input-group">
+                <label for=${field}>${config.label} (1-10${config.inverted ? ', lower is better' : ''})</label>
+                <input
+                  type="number"
+                  inputmode="numeric"
+                  pattern="[1-9]|10"
+                  id=${field}
+                  .value=${this.readinessData[field]}
+                  data-field=${field}
+                  @input=${this._handleNumberInput}
+                  min="1" max="10"
+                />
+              </div>
+            `)}
           </div>
 
           <div class="button-group">
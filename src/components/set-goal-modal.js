@@ -6,7 +6,8 @@ SECTION 1: COMPONENT AND SERVICE IMPORTS
 // 1.A: Import Core Libraries
 import { LitElement, html } from "lit";
 // 1.B: Import Services
-import { exerciseDatabase } from "../services/exercise-database.js";
+import { getDataLocally } from "../services/local-storage.js";
+import { getAllExercises } from "../services/exercise-database.js";
 
 /*
 ===============================================
@@ -34,7 +35,7 @@ class SetGoalModal extends LitElement {
       completed: false,
     };
     this.units = localStorage.getItem('units') || 'lbs';
-    this.allExercises = Object.values(exerciseDatabase).flat();
+    this.allExercises = getAllExercises(getDataLocally()?.customExercises);
   }
 
 /*
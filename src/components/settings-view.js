@@ -8,8 +8,12 @@
  */
 
 import { LitElement, html } from "lit";
-import { getDataLocally } from "../services/local-storage.js";
+import { getDataLocally, saveDataLocally } from "../services/local-storage.js";
+import { getBodyweight } from "../services/bodyweight-loading.js";
+import { EFFORT_SCALES, getEffortScale } from "../services/effort-scale.js";
+import { PERIODIZATION_MODELS } from "../services/workout-engine.js";
 import "./equipment-settings-modal.js"; // Import the new modal
+import "./custom-exercises-modal.js";
 
 class SettingsView extends LitElement {
   static properties = {
@@ -18,6 +22,7 @@ class SettingsView extends LitElement {
     showDeleteConfirm: { type: Boolean },
     userData: { type: Object },
     showEquipmentModal: { type: Boolean },
+    showCustomExercisesModal: { type: Boolean },
   };
 
   constructor() {
@@ -27,6 +32,7 @@ class SettingsView extends LitElement {
     this.showDeleteConfirm = false;
     this.userData = getDataLocally();
     this.showEquipmentModal = false;
+    this.showCustomExercisesModal = false;
   }
 
   // Helper to dispatch events up to the app-shell
@@ -52,6 +58,28 @@ class SettingsView extends LitElement {
     this.requestUpdate();
   }
   
+  // Only changes how effort is entered and shown; sets are always saved as RIR
+  _handleEffortScaleChange(effortScale) {
+    saveDataLocally({ effortScale });
+    this.userData = getDataLocally();
+  }
+
+  // Stored with the units it was entered in, so a later units switch converts it instead of misreading it
+  _handleBodyweightChange(value) {
+    const bodyweight = parseFloat(value);
+    if (!bodyweight || bodyweight <= 0) return;
+    saveDataLocally({ bodyweight, bodyweightUnits: this.units });
+    this.userData = getDataLocally();
+  }
+  
+  // Takes effect from the next workout, since each one is shaped by the model when it is prepared
+  _handlePeriodizationChange(periodizationModel) {
+    const activeProgram = { ...this.userData.activeProgram, periodization: periodizationModel };
+    saveDataLocally({ activeProgram, periodizationModel });
+    this.userData = getDataLocally();
+    this._dispatchEvent('program-updated');
+  }
+  
   _handleSignOut() {
     this._dispatchEvent('sign-out');
   }
@@ -96,10 +124,34 @@ class SettingsView extends LitElement {
               <button class="toggle-btn ${this.units === 'kg' ? 'active' : ''}" @click=${() => this._handleUnitsChange('kg')}>Kilograms (kg)</button>
             </div>
           </div>
+          <div class="setting-item">
+            <label>Effort Scale</label>
+            <div class="button-toggle-group">
+              ${Object.entries(EFFORT_SCALES).map(([scale, config]) => html`
+                <button class="toggle-btn ${getEffortScale(this.userData) === scale ? 'active' : ''}" @click=${() => this._handleEffortScaleChange(scale)}>${config.label}</button>
+              `)}
+            </div>
+          </div>
+          <div class="setting-item">
+            <label for="bodyweight-input">Bodyweight (${this.units})</label>
+            <input 
+              id="bodyweight-input" 
+              class="bodyweight-input" 
+              type="number" 
+              inputmode="decimal" 
+              placeholder="-" 
+              .value=${getBodyweight(this.userData, this.units) || ''} 
+              @change=${e => this._handleBodyweightChange(e.target.value)}
+            >
+          </div>
           <div class="setting-item">
             <label>My Equipment</label>
             <button class="btn btn-secondary" @click=${() => this.showEquipmentModal = true}>Manage</button>
           </div>
+          <div class="setting-item">
+            <label>Custom Exercises</label>
+            <button class="btn btn-secondary" @click=${() => this.showCustomExercisesModal = true}>Manage</button>
+          </div>
         </div>
 
         <div class="card settings-group">
@@ -108,6 +160,16 @@ class SettingsView extends LitElement {
                 <label>Active Mesocycle</label>
                 <span>${this.userData.activeProgram ? this.userData.activeProgram.name : 'None'}</span>
             </div>
+            ${this.userData.activeProgram ? html`
+              <div class="setting-item">
+                <label>Periodization</label>
+                <div class="button-toggle-group">
+                  ${Object.entries(PERIODIZATION_MODELS).map(([model, label]) => html`
+                    <button class="toggle-btn ${(this.userData.activeProgram.periodization || 'linear') === model ? 'active' : ''}" @click=${() => this._handlePeriodizationChange(model)}>${label}</button>
+                  `)}
+                </div>
+              </div>
+            ` : ''}
             <div class="divider"></div>
             <label>Your Custom Routines</label>
             ${customRoutines.length > 0 ? customRoutines.map(routine => html`
@@ -147,6 +209,9 @@ class SettingsView extends LitElement {
         ${this.showEquipmentModal ? html`
             <equipment-settings-modal .onClose=${() => this.showEquipmentModal = false}></equipment-settings-modal>
         ` : ''}
+        ${this.showCustomExercisesModal ? html`
+            <custom-exercises-modal .onClose=${() => this.showCustomExercisesModal = false}></custom-exercises-modal>
+        ` : ''}
       </div>
     `;
   }
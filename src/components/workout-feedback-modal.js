@@ -1,7 +1,7 @@
 /**
  * @file workout-feedback-modal.js
  * This component renders a modal dialog for collecting user feedback
- * after completing a set during a workout session.
+ * after finishing the last set of a muscle group during a workout session.
  */
 
 import { LitElement, html } from "lit";
@@ -9,6 +9,7 @@ import { LitElement, html } from "lit";
 class WorkoutFeedbackModal extends LitElement {
   static properties = {
     feedbackData: { type: Object },
+    heading: { type: String },
     onFeedbackSubmit: { type: Function },
     onClose: { type: Function },
     selectedAnswers: { type: Object }
@@ -17,13 +18,14 @@ class WorkoutFeedbackModal extends LitElement {
   constructor() {
     super();
     this.feedbackData = {};
+    this.heading = 'Set Feedback';
     this.selectedAnswers = {};
   }
 
   static styles = [];
 
   firstUpdated() {
-    const firstRadio = this.shadowRoot.querySelector('input[type="radio"]');
+    const firstRadio = this.querySelector('input[type="radio"]');
     if (firstRadio) {
       firstRadio.focus();
     }
@@ -64,7 +66,7 @@ class WorkoutFeedbackModal extends LitElement {
              aria-labelledby="modal-title"
              @keydown=${this._handleKeydown}>
           <div class="modal-header">
-            <h3 id="modal-title" class="modal-title">Set Feedback</h3>
+            <h3 id="modal-title" class="modal-title">${this.heading}</h3>
             <button class="close-button" @click=${this._handleClose} aria-label="Close feedback modal">
               <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
             </button>
@@ -149,6 +151,10 @@ class WorkoutFeedbackModal extends LitElement {
       this._handleClose();
     }
   }
+
+  createRenderRoot() {
+    return this;
+  }
 }
 
 customElements.define("workout-feedback-modal", WorkoutFeedbackModal);
@@ -4,12 +4,26 @@ SECTION 1: COMPONENT AND SERVICE IMPORTS
 ===============================================
 */
 import { LitElement, html } from "lit";
-import { saveDataLocally, getDataLocally } from "../services/local-storage.js";
-import { WorkoutEngine } from "../services/workout-engine.js";
-import { exerciseDatabase } from "../services/exercise-database.js"; // Import the master database
+import { saveDataLocally, getDataLocally, saveSessionLocally, deleteSessionLocally } from "../services/local-storage.js";
+import { WorkoutEngine, EXERCISE_GROUP_TYPES } from "../services/workout-engine.js";
+import { getExerciseCatalog, getAllExercises, getExerciseDetails } from "../services/exercise-database.js"; // Import the master database
+import { SET_TYPES, getDefaultSetType, calculateSetVolume } from "../services/set-types.js";
+import { MEASUREMENT_FIELDS, MEASUREMENT_MODES, getMeasurementMode, isSetMeasured, describeMeasuredSet } from "../services/measurement-modes.js";
+import { LOADING_MODES, isBodyweightExercise, getBodyweight, describeBodyweightLoad } from "../services/bodyweight-loading.js";
+import { isUnilateralExercise, getWeakerSideReps, describeSideReps } from "../services/unilateral-sets.js";
+import { EFFORT_SCALES, getEffortScale, hasEffortRating, toRir, fromRir, formatEffort } from "../services/effort-scale.js";
+import { markPrescription, recordDeviation } from "../services/session-deviations.js";
 import "./motivational-elements.js";
 import "./workout-feedback-modal.js";
 
+// Updates from these alone are clock ticks, not changes worth checkpointing
+const TIMER_PROPERTIES = ['stopwatchDisplay', 'restRemaining'];
+// Time the app was closed for longer than this is not counted towards the workout
+const SESSION_INTERRUPTION_LIMIT_MS = 10 * 60 * 1000;
+// Targets for exercises added mid-session that have never been logged before
+const ADDED_EXERCISE_TARGETS = { weight_reps: '8-12', reps: '10-15', duration: '30-60s', weighted_duration: '30-60s', distance: '40m' };
+const ADDED_EXERCISE_SETS = 3;
+
 /*
 ===============================================
 SECTION 2: WORKOUT-SESSION COMPONENT DEFINITION
@@ -28,10 +42,20 @@ class WorkoutSession extends LitElement {
     activeGroupIndex: { type: Number },
     activeExerciseIndex: { type: Number },
     showFeedbackModal: { type: Boolean },
-    feedbackExerciseIndex: { type: Number },
+    feedbackMuscleGroup: { type: String },
+    muscleFeedback: { type: Object },
     showSubstitutionModal: { type: Boolean },
     substitutions: { type: Array },
     exerciseToSubstitute: { type: Object },
+    restTimer: { type: Object },
+    restRemaining: { type: Number },
+    setTypePicker: { type: Object },
+    effortPicker: { type: Object },
+    resumedSession: { type: Object },
+    showAddExerciseModal: { type: Boolean },
+    noteEditor: { type: Object },
+    infoExercise: { type: Object },
+    exerciseSearch: { type: String },
   };
 
 // 2.B: Constructor
@@ -47,10 +71,26 @@ class WorkoutSession extends LitElement {
     this.activeGroupIndex = 0;
     this.activeExerciseIndex = 0;
     this.showFeedbackModal = false;
-    this.feedbackExerciseIndex = null;
+    this.feedbackMuscleGroup = null;
+    this.muscleFeedback = {};
+    this.feedbackAskedGroups = new Set();
+    this.completeAfterFeedback = false;
     this.showSubstitutionModal = false;
     this.substitutions = [];
     this.exerciseToSubstitute = null;
+    this.restTimer = null;
+    this.restRemaining = 0;
+    this.restInterval = null;
+    this.audioContext = null;
+    this.setTypePicker = null;
+    this.effortPicker = null;
+    this.previousExercises = new Map();
+    this.resumedSession = null;
+    this.sessionClosed = false;
+    this.showAddExerciseModal = false;
+    this.exerciseSearch = '';
+    this.noteEditor = null;
+    this.infoExercise = null;
     this.workoutEngine = new WorkoutEngine(this.userData); // Initialize engine with data
   }
 
@@ -62,6 +102,7 @@ SECTION 3: LIFECYCLE AND STOPWATCH METHODS
 // 3.A: Connected Callback
   connectedCallback() {
     super.connectedCallback();
+    this._restoreSession();
     this.startStopwatch();
     // Re-initialize engine in case user data was not available in constructor
     if (!this.workoutEngine || !this.userData) {
@@ -74,24 +115,198 @@ SECTION 3: LIFECYCLE AND STOPWATCH METHODS
   disconnectedCallback() {
     super.disconnectedCallback();
     this.stopStopwatch();
+    clearInterval(this.restInterval);
+    this.audioContext?.close();
+    this.audioContext = null;
   }
 
 // 3.C: Start Stopwatch
   startStopwatch() {
-    this.workoutStartTime = Date.now();
+    this.workoutStartTime = this.resumedSession ? this._getResumedStartTime(this.resumedSession) : Date.now();
     this.stopwatchInterval = setInterval(() => {
         const elapsed = Date.now() - this.workoutStartTime;
         const minutes = Math.floor(elapsed / 60000);
         const seconds = Math.floor((elapsed % 60000) / 1000);
         this.stopwatchDisplay = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        // Keeps the checkpoint's timestamp fresh while nothing is being logged
+        if (seconds === 0) this._checkpointSession();
     }, 1000);
   }
 
+// 3.C.1: Get Resumed Start Time
+  _getResumedStartTime({ startedAt, savedAt }) {
+    const gap = Date.now() - savedAt;
+    return gap > SESSION_INTERRUPTION_LIMIT_MS ? startedAt + gap : startedAt;
+  }
+
 // 3.D: Stop Stopwatch
   stopStopwatch() {
     clearInterval(this.stopwatchInterval);
   }
 
+// 3.E: Start Rest Timer
+  _startRestTimer(exerciseIndex, setIndex, restSeconds = null) {
+    this._finishRestTimer();
+    const exercise = this.workout.exercises[exerciseIndex];
+    const duration = restSeconds ?? this.workoutEngine.getDefaultRestSeconds({
+      ...exercise,
+      category: exercise.category || this._getExerciseCategory(exercise.name)
+    });
+    this.restTimer = { exerciseIndex, setIndex, duration, startedAt: Date.now(), cuePlayed: false };
+    this._tickRestTimer();
+    this.restInterval = setInterval(() => this._tickRestTimer(), 1000);
+  }
+
+// 3.F: Tick Rest Timer
+  _tickRestTimer() {
+    if (!this.restTimer) return;
+    const elapsed = Math.floor((Date.now() - this.restTimer.startedAt) / 1000);
+    this.restRemaining = this.restTimer.duration - elapsed;
+    if (this.restRemaining <= 0 && !this.restTimer.cuePlayed) {
+      this.restTimer = { ...this.restTimer, cuePlayed: true };
+      this._playRestCue();
+    }
+  }
+
+// 3.G: Adjust Rest Timer
+  _adjustRestTimer(seconds) {
+    if (!this.restTimer) return;
+    const duration = Math.max(0, this.restTimer.duration + seconds);
+    const elapsed = Math.floor((Date.now() - this.restTimer.startedAt) / 1000);
+    this.restTimer = { ...this.restTimer, duration, cuePlayed: this.restTimer.cuePlayed && duration <= elapsed };
+    this._tickRestTimer();
+  }
+
+// 3.H: Finish Rest Timer
+  // Records how long the lifter actually rested after the set that started the timer. Called when
+  // the rest is skipped, when the next set is started or logged, and when the workout is finished.
+  _finishRestTimer() {
+    if (!this.restTimer) return;
+    const { exerciseIndex, setIndex, startedAt } = this.restTimer;
+    const set = this.workout?.exercises[exerciseIndex]?.sets[setIndex];
+    if (set) {
+      set.restSeconds = Math.round((Date.now() - startedAt) / 1000);
+    }
+    this._cancelRestTimer();
+  }
+
+// 3.H.1: End Rest On Next Set
+  // Any entry into a set that isn't logged yet means the lifter is back under the bar; edits and
+  // effort ratings on the set they just finished happen during the rest and don't end it
+  _endRestForSet(exerciseIndex, setIndex) {
+    if (!this.restTimer) return;
+    const set = this.workout?.exercises[exerciseIndex]?.sets[setIndex];
+    const isRestingSet = this.restTimer.exerciseIndex === exerciseIndex && this.restTimer.setIndex === setIndex;
+    if (set && !set.completed && !isRestingSet) {
+      this._finishRestTimer();
+    }
+  }
+
+// 3.I: Cancel Rest Timer
+  _cancelRestTimer() {
+    clearInterval(this.restInterval);
+    this.restInterval = null;
+    this.restTimer = null;
+    this.restRemaining = 0;
+  }
+
+// 3.J: Save Rest Override
+  _saveRestOverride() {
+    if (!this.restTimer) return;
+    const exercise = this.workout.exercises[this.restTimer.exerciseIndex];
+    const restOverrides = { ...(this.userData.restOverrides || {}), [exercise.name]: this.restTimer.duration };
+    this.userData = { ...this.userData, restOverrides };
+    this.workoutEngine.userProfile = this.userData;
+    saveDataLocally({ restOverrides });
+    this.dispatchEvent(new CustomEvent('show-toast', { 
+        detail: { message: `Default rest for ${exercise.name} set to ${this._formatRestTime(this.restTimer.duration)}.`, type: 'success' }, 
+        bubbles: true, 
+        composed: true 
+    }));
+  }
+
+// 3.K: Prepare Rest Cue
+  // Browsers only let audio start from a user gesture, so the context is created or resumed
+  // when a set is ticked off rather than when the timer runs out
+  _prepareRestCue() {
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      this.audioContext ??= new AudioContextClass();
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume().catch(() => {});
+      }
+    } catch (error) {
+      console.warn("Rest timer sound unavailable:", error);
+    }
+  }
+
+// 3.K.1: Play Rest Cue
+  _playRestCue() {
+    if (navigator.vibrate) {
+      navigator.vibrate([200, 100, 200]);
+    }
+    try {
+      const audioContext = this.audioContext;
+      if (!audioContext || audioContext.state !== 'running') return;
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.6);
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start();
+      oscillator.stop(audioContext.currentTime + 0.6);
+    } catch (error) {
+      console.warn("Rest timer sound unavailable:", error);
+    }
+  }
+
+// 3.L: Updated
+  updated(changedProperties) {
+    const isTimerTick = changedProperties.size > 0
+      && [...changedProperties.keys()].every(key => TIMER_PROPERTIES.includes(key));
+    if (!isTimerTick) this._checkpointSession();
+  }
+
+// 3.M: Checkpoint Session
+  _checkpointSession() {
+    if (!this.workout || this.sessionClosed) return;
+    saveSessionLocally({
+      workout: this.workout,
+      startedAt: this.workoutStartTime,
+      savedAt: Date.now(),
+      activeGroupIndex: this.activeGroupIndex,
+      activeExerciseIndex: this.activeExerciseIndex,
+      muscleFeedback: this.muscleFeedback,
+      feedbackAskedGroups: [...this.feedbackAskedGroups],
+    });
+  }
+
+// 3.N: Restore Resumed Session
+  _restoreSession() {
+    if (!this.resumedSession) return;
+    const { activeGroupIndex = 0, activeExerciseIndex = 0, muscleFeedback = {}, feedbackAskedGroups = [] } = this.resumedSession;
+    this.activeGroupIndex = activeGroupIndex;
+    this.activeExerciseIndex = activeExerciseIndex;
+    this.muscleFeedback = muscleFeedback;
+    this.feedbackAskedGroups = new Set(feedbackAskedGroups);
+  }
+
+// 3.O: Close Session
+  _closeSession() {
+    this.sessionClosed = true;
+    deleteSessionLocally();
+  }
+
+// 3.P: Will Update
+  willUpdate(changedProperties) {
+    if (changedProperties.has('workout') && this.workout) {
+      markPrescription(this.workout);
+    }
+  }
+
 /*
 ===============================================
 SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
@@ -102,15 +317,141 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
     const exercise = this.workout.exercises[exerciseIndex];
     if (exercise && exercise.sets[setIndex]) {
       let processedValue = value;
-      if (processedValue.length > 3) {
-        processedValue = processedValue.slice(0, 3);
+      const maxLength = MEASUREMENT_FIELDS[field]?.maxLength || 3;
+      if (processedValue.length > maxLength) {
+        processedValue = processedValue.slice(0, maxLength);
       }
 
       exercise.sets[setIndex][field] = processedValue;
+      this._endRestForSet(exerciseIndex, setIndex);
       this.requestUpdate();
     }
   }
 
+// 4.A.1: Toggle Set Type Picker
+  _toggleSetTypePicker(exerciseIndex, setIndex) {
+    const isOpen = this.setTypePicker?.exerciseIndex === exerciseIndex && this.setTypePicker?.setIndex === setIndex;
+    this.setTypePicker = isOpen ? null : { exerciseIndex, setIndex };
+  }
+
+// 4.A.2: Handle Set Type Change
+  _handleSetTypeChange(exerciseIndex, setIndex, type) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    const set = exercise?.sets[setIndex];
+    if (!set) return;
+
+    set.type = type;
+    set.segments = SET_TYPES[type].segmentLabel ? (set.segments || []) : [];
+    this.setTypePicker = null;
+    if (SET_TYPES[type].segmentLabel && set.segments.length === 0) {
+      this._addSetSegment(exerciseIndex, setIndex);
+    } else {
+      this.requestUpdate();
+    }
+  }
+
+// 4.A.3: Add Set Segment
+  _addSetSegment(exerciseIndex, setIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    const set = exercise?.sets[setIndex];
+    if (!set) return;
+
+    set.segments = set.segments || [];
+    const segment = { reps: '' };
+    if (SET_TYPES[this._getSetType(exercise, set)].segmentHasWeight) {
+      // Each drop starts about 20% lighter than the effort before it
+      const previous = set.segments[set.segments.length - 1] || set;
+      const previousWeight = parseFloat(previous.weight) || 0;
+      segment.weight = previousWeight > 0
+        ? this.workoutEngine.roundToAchievableLoad(previousWeight * 0.8, exercise, 'down', this.units)
+        : '';
+    }
+    set.segments.push(segment);
+    this.requestUpdate();
+  }
+
+// 4.A.4: Handle Segment Input
+  _handleSegmentInput(exerciseIndex, setIndex, segmentIndex, field, value) {
+    const segment = this.workout.exercises[exerciseIndex]?.sets[setIndex]?.segments?.[segmentIndex];
+    if (!segment) return;
+    segment[field] = value.slice(0, 3);
+    this._endRestForSet(exerciseIndex, setIndex);
+    this.requestUpdate();
+  }
+
+// 4.A.5: Remove Set Segment
+  _removeSetSegment(exerciseIndex, setIndex, segmentIndex) {
+    const set = this.workout.exercises[exerciseIndex]?.sets[setIndex];
+    if (!set?.segments) return;
+    set.segments.splice(segmentIndex, 1);
+    this.requestUpdate();
+  }
+
+// 4.A.6: Set Bodyweight Loading
+  _setLoadingMode(exerciseIndex, loading) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    if (!exercise) return;
+    exercise.loading = loading;
+    this.requestUpdate();
+  }
+
+// 4.A.7: Handle Per-Side Reps Input
+  _handleSideRepsInput(exerciseIndex, setIndex, side, value) {
+    const set = this.workout.exercises[exerciseIndex]?.sets[setIndex];
+    if (!set) return;
+    set[side] = value.slice(0, 3);
+    set.reps = String(getWeakerSideReps(set.leftReps, set.rightReps) || '');
+    this._endRestForSet(exerciseIndex, setIndex);
+    this.requestUpdate();
+  }
+
+// 4.A.8: Toggle Effort Picker
+  _toggleEffortPicker(exerciseIndex, setIndex) {
+    const isOpen = this.effortPicker?.exerciseIndex === exerciseIndex && this.effortPicker?.setIndex === setIndex;
+    this.effortPicker = isOpen ? null : { exerciseIndex, setIndex };
+  }
+
+// 4.A.9: Handle Effort Select
+  _handleEffortSelect(exerciseIndex, setIndex, value) {
+    const set = this.workout.exercises[exerciseIndex]?.sets[setIndex];
+    if (!set) return;
+    set.rir = toRir(value, getEffortScale(this.userData));
+    this.effortPicker = null;
+    this.requestUpdate();
+  }
+
+// 4.A.10: Accept Set Target
+  _acceptSetTarget(exerciseIndex, setIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    const set = exercise?.sets[setIndex];
+    const target = exercise ? this._getSetTarget(exercise) : null;
+    if (!set || !target) return;
+    this._endRestForSet(exerciseIndex, setIndex);
+
+    ['weight', 'reps', 'leftReps', 'rightReps', 'durationSeconds', 'distanceMeters'].forEach(field => {
+      if (target[field] !== undefined && target[field] !== '') set[field] = String(target[field]);
+    });
+    if (target.loading) exercise.loading = target.loading;
+    this.requestUpdate();
+  }
+
+// 4.A.11: Toggle Set Note Editor
+  _toggleSetNote(exerciseIndex, setIndex) {
+    const isOpen = this.noteEditor?.exerciseIndex === exerciseIndex && this.noteEditor?.setIndex === setIndex;
+    this.noteEditor = isOpen ? null : { exerciseIndex, setIndex };
+    if (!isOpen) this.updateComplete.then(() => this.querySelector('.set-note-input')?.focus());
+  }
+
+// 4.A.12: Handle Note Input
+  // Session notes live on the workout, exercise notes on the exercise and set notes on the set
+  _handleNoteInput(value, exerciseIndex = null, setIndex = null) {
+    const exercise = exerciseIndex === null ? null : this.workout.exercises[exerciseIndex];
+    const target = setIndex === null ? (exercise || this.workout) : exercise?.sets[setIndex];
+    if (!target) return;
+    target.notes = value;
+    this.requestUpdate();
+  }
+
 // 4.B: Toggle Set Complete
   _toggleSetComplete(exerciseIndex, setIndex) {
     const exercise = this.workout.exercises[exerciseIndex];
@@ -118,10 +459,30 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
       const set = exercise.sets[setIndex];
       const isLastSet = setIndex === (exercise.sets.length - 1);
       
+      this._endRestForSet(exerciseIndex, setIndex);
       set.completed = !set.completed;
+      if (set.completed) this._prepareRestCue();
       this.requestUpdate();
+
+      const isEffortPickerOpen = this.effortPicker?.exerciseIndex === exerciseIndex && this.effortPicker?.setIndex === setIndex;
+      if (set.completed && !hasEffortRating(set)) {
+          this.effortPicker = { exerciseIndex, setIndex };
+      } else if (!set.completed && isEffortPickerOpen) {
+          this.effortPicker = null;
+      }
+
+      const exerciseGroup = this._getExerciseGroup(exercise);
+      if (set.completed && exerciseGroup) {
+          this._advanceWithinExerciseGroup(exerciseIndex, setIndex, exerciseGroup);
+      } else if (set.completed) {
+          this._startRestTimer(exerciseIndex, setIndex);
+      } else if (this.restTimer?.exerciseIndex === exerciseIndex && this.restTimer?.setIndex === setIndex) {
+          this._cancelRestTimer();
+      }
       
-      if (set.completed && isLastSet) {
+      if (set.completed && this._shouldAskMuscleFeedback(exercise)) {
+          this._askMuscleFeedback(exercise.muscleGroup || this._getExerciseMuscleGroup(exercise.name));
+      } else if (set.completed && isLastSet && !exerciseGroup) {
           const confirmation = confirm("Are you done with this exercise? Tap OK to move to the next exercise or Cancel to stay here.");
           if (confirmation) {
               this._advanceExercise();
@@ -130,6 +491,50 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
     }
   }
 
+// 4.B.1: Toggle Warm-up Set Complete
+  _toggleWarmupComplete(exerciseIndex, warmupIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    if (!exercise) return;
+    exercise.warmupsCompleted = { ...(exercise.warmupsCompleted || {}), [warmupIndex]: !exercise.warmupsCompleted?.[warmupIndex] };
+    this.requestUpdate();
+  }
+
+// 4.B.2: Toggle Warm-ups For Exercise
+  _toggleWarmups(exerciseIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    if (!exercise) return;
+    exercise.warmupsEnabled = !this._areWarmupsEnabled(exercise);
+
+    // Remember the choice for this exercise in future sessions
+    const warmupPreferences = { ...(this.userData.warmupPreferences || {}), [exercise.name]: exercise.warmupsEnabled };
+    this.userData = { ...this.userData, warmupPreferences };
+    saveDataLocally({ warmupPreferences });
+    this.requestUpdate();
+  }
+
+// 4.B.3: Advance Within Exercise Group
+  // Grouped exercises alternate set by set; the shared rest only starts once a round is finished
+  _advanceWithinExerciseGroup(exerciseIndex, setIndex, exerciseGroup) {
+    const members = this._getExerciseGroupMembers(this.workout.exercises[exerciseIndex].groupId);
+    const position = members.indexOf(exerciseIndex);
+    const nextInRound = members.slice(position + 1).find(index => {
+      const nextSet = this.workout.exercises[index].sets[setIndex];
+      return nextSet && !nextSet.completed;
+    });
+
+    if (nextInRound !== undefined) {
+      this._finishRestTimer();
+      this._focusExercise(nextInRound);
+      return;
+    }
+
+    this._startRestTimer(exerciseIndex, setIndex, exerciseGroup.restSeconds);
+    const nextRound = members.find(index => this.workout.exercises[index].sets.some(groupSet => !groupSet.completed));
+    if (nextRound !== undefined) {
+      this._focusExercise(nextRound);
+    }
+  }
+
 // 4.C: Advance to Next Exercise or Group
   _advanceExercise() {
       const groupedExercises = this._getGroupedExercises();
@@ -149,19 +554,69 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
       }
   }
 
+// 4.C.1: Check Muscle Group Finished
+  _shouldAskMuscleFeedback(exercise) {
+    const muscleGroup = exercise.muscleGroup || this._getExerciseMuscleGroup(exercise.name);
+    if (this.feedbackAskedGroups.has(muscleGroup)) return false;
+    const groupExercises = this.workout.exercises.filter(ex =>
+      (ex.muscleGroup || this._getExerciseMuscleGroup(ex.name)) === muscleGroup
+    );
+    return groupExercises.every(ex => (ex.sets || []).every(set => set.completed));
+  }
+
+// 4.C.1.a: Get Muscle Groups Awaiting Feedback
+  // Any muscle with a logged set gets asked about, including ones whose remaining sets were skipped
+  _getMuscleGroupsAwaitingFeedback() {
+    const trainedGroups = this.workout.exercises
+      .filter(ex => (ex.sets || []).some(set => set.completed && this._isSetLogged(ex, set)))
+      .map(ex => ex.muscleGroup || this._getExerciseMuscleGroup(ex.name));
+    return [...new Set(trainedGroups)].filter(muscleGroup => !this.feedbackAskedGroups.has(muscleGroup));
+  }
+
+// 4.C.1.b: Ask Muscle Feedback
+  _askMuscleFeedback(muscleGroup) {
+    this.feedbackMuscleGroup = muscleGroup;
+    this.feedbackAskedGroups.add(muscleGroup);
+    this.showFeedbackModal = true;
+  }
+
+// 4.C.2: Handle Muscle Feedback Submit
+  _handleFeedbackSubmit(answers) {
+    this.muscleFeedback = { ...this.muscleFeedback, [this.feedbackMuscleGroup]: answers };
+    this._closeFeedbackModal();
+  }
+
+// 4.C.3: Close Feedback Modal
+  _closeFeedbackModal() {
+    this.showFeedbackModal = false;
+    this.feedbackMuscleGroup = null;
+    if (this.completeAfterFeedback) {
+      this.completeAfterFeedback = false;
+      this._completeWorkout();
+      return;
+    }
+    this._advanceExercise();
+  }
+
 // 4.D: Complete Workout
   async _completeWorkout() {
+    // Muscles that were trained but never finished are asked about before saving
+    const [muscleGroup] = this._getMuscleGroupsAwaitingFeedback();
+    if (muscleGroup) {
+      this.completeAfterFeedback = true;
+      this._askMuscleFeedback(muscleGroup);
+      return;
+    }
     this.isSaving = true;
     try {
         this.stopStopwatch();
+        this._finishRestTimer();
         const durationInSeconds = Math.floor((Date.now() - this.workoutStartTime) / 1000);
         
         const totalVolume = this.workout.exercises.reduce((total, exercise) => {
             const exerciseVolume = (exercise.sets || []).reduce((sum, set) => {
-                const weight = parseFloat(set.weight) || 0;
-                const reps = parseInt(set.reps, 10) || 0;
-                if (set.completed && weight > 0 && reps > 0) {
-                    return sum + (weight * reps);
+                if (set.completed && this._isSetLogged(exercise, set)) {
+                    return sum + calculateSetVolume(this._serializeSet(exercise, set));
                 }
                 return sum;
             }, 0);
@@ -174,15 +629,24 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
             name: this.workout.name || 'Workout Session',
             durationInSeconds,
             totalVolume: Math.round(totalVolume),
+            readiness: this.workout.readiness || null,
+            notes: this.workout.notes?.trim() || '',
+            muscleFeedback: this.muscleFeedback,
+            exerciseGroups: this.workout.exerciseGroups || {},
+            prescription: this.workout.prescription || [],
+            deviations: this.workout.deviations || [],
             exercises: this.workout.exercises.map(ex => ({
                 name: ex.name,
                 completedSets: (ex.sets || [])
-                    .filter(s => s.completed && s.weight && s.reps)
-                    .map(set => ({
-                        weight: parseFloat(set.weight) || 0,
-                        reps: parseInt(set.reps, 10) || 0,
-                        rir: parseInt(set.rir, 10) || 0
-                    })),
+                    .filter(s => s.completed && this._isSetLogged(ex, s))
+                    .map(set => this._serializeSet(ex, set)),
+                warmupSets: this._getWarmupSets(ex).filter((_, i) => ex.warmupsCompleted?.[i]),
+                targetReps: ex.targetReps,
+                targetRir: ex.targetRir,
+                ...(ex.groupId ? { groupId: ex.groupId } : {}),
+                ...this._serializeNotes(ex),
+                ...(ex.added ? { added: true } : { plannedSets: ex.plannedSets }),
+                ...(this._getMeasurementMode(ex) !== 'weight_reps' ? { measurementMode: this._getMeasurementMode(ex) } : {}),
                 category: this._getExerciseCategory(ex.name),
                 muscleGroup: ex.muscleGroup || this._getExerciseMuscleGroup(ex.name)
             }))
@@ -193,9 +657,20 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
             throw new Error("Please complete at least one set before finishing your workout.");
         }
         
+        // Store the next-session prescription for every exercise that was trained
+        const progressions = { ...(getDataLocally().progressions || {}) };
+        workoutToSave.exercises.forEach(ex => {
+            progressions[ex.name] = {
+                ...this.workoutEngine.calculateProgression(ex),
+                date: workoutToSave.date
+            };
+        });
+
         saveDataLocally({ 
-            workouts: [workoutToSave]
+            workouts: [workoutToSave],
+            progressions
         });
+        this._closeSession();
 
         this.dispatchEvent(new CustomEvent('workout-completed', {
             detail: { 
@@ -217,6 +692,157 @@ SECTION 4: EVENT HANDLERS AND WORKOUT LOGIC
     }
   }
 
+// 4.E: Cancel Workout
+  _cancelWorkout() {
+    this._closeSession();
+    this.dispatchEvent(new CustomEvent('workout-cancelled', { bubbles: true, composed: true }));
+  }
+
+// 4.F: Add Set
+  _addSet(exerciseIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    if (!exercise) return;
+    const lastSet = exercise.sets[exercise.sets.length - 1];
+    exercise.sets = [...exercise.sets, lastSet?.weight ? { weight: lastSet.weight } : {}];
+    recordDeviation(this.workout, 'set_added', exercise.name, { sets: exercise.sets.length });
+    this.requestUpdate();
+  }
+
+// 4.F.1: Remove Set
+  // Drops the last unlogged set; logged sets have to be unchecked first so nothing is lost by accident
+  _removeSet(exerciseIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    if (!exercise) return;
+    // Untouched sets are `{}`, so anything not marked completed counts as unlogged
+    const setIndex = exercise.sets.findLastIndex(set => !set?.completed);
+    if (exercise.sets.length <= 1 || setIndex === -1) {
+      const message = exercise.sets.length <= 1
+        ? "Remove the exercise to drop its last set."
+        : "Uncheck a logged set before removing it.";
+      this.dispatchEvent(new CustomEvent('show-toast', { detail: { message, type: 'info' }, bubbles: true, composed: true }));
+      return;
+    }
+
+    this._editSessionStructure(() => {
+      exercise.sets = exercise.sets.filter((_, index) => index !== setIndex);
+    });
+    recordDeviation(this.workout, 'set_removed', exercise.name, { sets: exercise.sets.length });
+  }
+
+// 4.F.2: Remove Exercise
+  _removeExercise(exerciseIndex) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    if (!exercise) return;
+    if (exercise.sets.some(set => set.completed) && !confirm(`Remove ${exercise.name} and its logged sets from this workout?`)) return;
+
+    this._editSessionStructure(exercises => exercises.splice(exerciseIndex, 1));
+    recordDeviation(this.workout, 'exercise_removed', exercise.name, { plannedSets: exercise.plannedSets ?? 0 });
+  }
+
+// 4.F.3: Move Exercise
+  // Exercises move within their tab; a tab's position follows its first exercise
+  _moveExercise(exerciseIndex, direction) {
+    const exercise = this.workout.exercises[exerciseIndex];
+    const groupedExercises = this._getGroupedExercises();
+    const tab = Object.values(groupedExercises).find(members => members.some(member => member.originalIndex === exerciseIndex));
+    const position = tab.findIndex(member => member.originalIndex === exerciseIndex);
+    const neighbour = tab[position + direction];
+    if (!neighbour) return;
+
+    this._editSessionStructure(exercises => {
+      [exercises[exerciseIndex], exercises[neighbour.originalIndex]] = [exercises[neighbour.originalIndex], exercises[exerciseIndex]];
+    });
+    recordDeviation(this.workout, 'exercise_moved', exercise.name, { direction });
+  }
+
+// 4.F.4: Move Group
+  _moveGroup(groupIndex, direction) {
+    const groups = Object.values(this._getGroupedExercises());
+    const targetIndex = groupIndex + direction;
+    if (!groups[groupIndex] || !groups[targetIndex]) return;
+
+    [groups[groupIndex], groups[targetIndex]] = [groups[targetIndex], groups[groupIndex]];
+    const order = groups.flat().map(member => member.originalIndex);
+    this._editSessionStructure(exercises => {
+      const reordered = order.map(index => exercises[index]);
+      exercises.splice(0, exercises.length, ...reordered);
+    });
+    groups[targetIndex].forEach(member => {
+      recordDeviation(this.workout, 'exercise_moved', member.name, { direction });
+    });
+    this.activeGroupIndex = targetIndex;
+  }
+
+// 4.F.5: Add Exercise
+  _handleAddExercise(dbExercise) {
+    const measurementMode = getMeasurementMode(dbExercise);
+    const previous = this._getPreviousExercise(dbExercise.name);
+    const newExercise = {
+      name: dbExercise.name,
+      muscleGroup: dbExercise.muscleGroup,
+      movementPattern: dbExercise.movementPattern,
+      equipment: dbExercise.equipment,
+      measurementMode: dbExercise.measurementMode,
+      unilateral: Boolean(dbExercise.unilateral),
+      targetReps: previous?.targetReps || ADDED_EXERCISE_TARGETS[measurementMode],
+      targetRir: previous?.targetRir ?? (dbExercise.type === 'isolation' ? 3 : 2),
+      sets: Array.from({ length: ADDED_EXERCISE_SETS }, () => ({})),
+      added: true,
+    };
+
+    this.workout.exercises = [...this.workout.exercises, newExercise];
+    recordDeviation(this.workout, 'exercise_added', newExercise.name, { sets: ADDED_EXERCISE_SETS });
+    this._closeAddExerciseModal();
+    this._focusExercise(this.workout.exercises.length - 1);
+    this.requestUpdate();
+  }
+
+// 4.F.6: Close Add Exercise Modal
+  _closeAddExerciseModal() {
+    this.showAddExerciseModal = false;
+    this.exerciseSearch = '';
+  }
+
+// 4.F.7: Apply Structural Edit
+  // Indexes held by the rest timer and the focused tab follow their exercise through the edit
+  _editSessionStructure(mutate) {
+    const exercises = this.workout.exercises;
+    const restExercise = this.restTimer ? exercises[this.restTimer.exerciseIndex] : null;
+    const activeGroup = Object.values(this._getGroupedExercises())[this.activeGroupIndex] || [];
+    const focusedIndex = activeGroup[this.activeExerciseIndex]?.originalIndex ?? 0;
+    const focusedExercise = exercises[focusedIndex];
+
+    mutate(exercises);
+    this.setTypePicker = null;
+    this.effortPicker = null;
+    this.noteEditor = null;
+
+    if (restExercise) {
+      const restIndex = exercises.indexOf(restExercise);
+      if (restIndex === -1) {
+        this._cancelRestTimer();
+      } else {
+        this.restTimer = { ...this.restTimer, exerciseIndex: restIndex };
+      }
+    }
+
+    this.activeGroupIndex = 0;
+    this.activeExerciseIndex = 0;
+    const newFocusIndex = exercises.indexOf(focusedExercise);
+    this._focusExercise(newFocusIndex > -1 ? newFocusIndex : Math.min(focusedIndex, exercises.length - 1));
+    this.requestUpdate();
+  }
+
+// 4.G: Show Exercise Info
+  _showExerciseInfo(exercise) {
+    this.infoExercise = getExerciseDetails(exercise, this.userData?.customExercises);
+  }
+
+// 4.G.1: Close Exercise Info
+  _closeExerciseInfo() {
+    this.infoExercise = null;
+  }
+
 /*
 ===============================================
 SECTION 5: SUBSTITUTION LOGIC
@@ -226,7 +852,7 @@ SECTION 5: SUBSTITUTION LOGIC
   _showSubstitutionModal(exerciseToSubstitute) {
     if (!this.workoutEngine || !this.userData) return;
     
-    const allExercises = Object.values(exerciseDatabase).flat();
+    const allExercises = getAllExercises(this.userData?.customExercises);
     const fullExerciseDetails = allExercises.find(ex => ex.name === exerciseToSubstitute.name);
 
     if (!fullExerciseDetails) {
@@ -257,10 +883,13 @@ SECTION 5: SUBSTITUTION LOGIC
       name: newExercise.name,
       muscleGroup: newExercise.muscleGroup,
       movementPattern: newExercise.movementPattern,
-      equipment: newExercise.equipment
+      equipment: newExercise.equipment,
+      measurementMode: newExercise.measurementMode,
+      unilateral: Boolean(newExercise.unilateral)
     };
     
     this.workout.exercises[originalExerciseIndex] = substitutedExercise;
+    recordDeviation(this.workout, 'exercise_substituted', this.exerciseToSubstitute.name, { replacement: newExercise.name });
     
     this._closeSubstitutionModal();
     this.requestUpdate();
@@ -290,11 +919,115 @@ SECTION 6: HELPER METHODS
     const rir = exercise.targetRir;
     
     if (rir !== undefined && rir !== null) {
-      return `${reps} / ${rir} RIR`;
+      return `${reps} / ${formatEffort(rir, getEffortScale(this.userData))}`;
     }
     return reps;
   }
 
+// 6.A.1: Format Rest Time
+  _formatRestTime(totalSeconds) {
+    const seconds = Math.abs(totalSeconds);
+    const formatted = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    return totalSeconds < 0 ? `+${formatted}` : formatted;
+  }
+
+// 6.A.2: Get Set Type
+  _getSetType(exercise, set) {
+    return set.type || getDefaultSetType(exercise.targetReps);
+  }
+
+// 6.A.3: Serialize Set For Saving
+  _serializeSet(exercise, set) {
+    const mode = this._getMeasurementMode(exercise);
+    if (mode !== 'weight_reps') {
+        const measured = {};
+        MEASUREMENT_MODES[mode].fields.forEach(field => {
+            measured[field] = field === 'reps' ? parseInt(set[field], 10) || 0 : parseFloat(set[field]) || 0;
+        });
+        return {
+            ...measured,
+            ...this._serializeSides(exercise, set),
+            rir: hasEffortRating(set) ? Number(set.rir) : null,
+            restSeconds: set.restSeconds ?? null,
+            ...this._serializeNotes(set)
+        };
+    }
+
+    const type = this._getSetType(exercise, set);
+    const config = SET_TYPES[type];
+    const serialized = {
+        weight: parseFloat(set.weight) || 0,
+        reps: parseInt(set.reps, 10) || 0,
+        rir: hasEffortRating(set) ? Number(set.rir) : null,
+        restSeconds: set.restSeconds ?? null,
+        ...this._serializeSides(exercise, set),
+        ...this._serializeNotes(set)
+    };
+    if (this._isBodyweightExercise(exercise)) {
+        const loading = this._getLoadingMode(exercise);
+        serialized.bodyweight = getBodyweight(this.userData, this.units) || null;
+        if (loading === 'bodyweight') serialized.weight = 0;
+        if (loading === 'assisted') serialized.assisted = true;
+    }
+    if (type === 'straight') return serialized;
+
+    serialized.type = type;
+    if (config.segmentLabel) {
+        serialized.segments = (set.segments || [])
+            .filter(segment => parseInt(segment.reps, 10) > 0)
+            .map(segment => ({
+                ...(config.segmentHasWeight ? { weight: parseFloat(segment.weight) || 0 } : {}),
+                reps: parseInt(segment.reps, 10)
+            }));
+    }
+    return serialized;
+  }
+
+// 6.A.3.a: Serialize Per-Side Reps
+  _serializeSides(exercise, set) {
+    if (!this._isUnilateralExercise(exercise)) return {};
+    const leftReps = parseInt(set.leftReps, 10) || 0;
+    const rightReps = parseInt(set.rightReps, 10) || 0;
+    return { leftReps, rightReps, reps: getWeakerSideReps(leftReps, rightReps) };
+  }
+
+// 6.A.3.b: Serialize Notes
+  _serializeNotes(item) {
+    const notes = item.notes?.trim();
+    return notes ? { notes } : {};
+  }
+
+// 6.A.4: Get Measurement Mode
+  _getMeasurementMode(exercise) {
+    const details = getAllExercises(this.userData?.customExercises).find(ex => ex.name === exercise.name);
+    return getMeasurementMode({ ...exercise, measurementMode: exercise.measurementMode || details?.measurementMode });
+  }
+
+// 6.A.5: Get Bodyweight Loading
+  _isBodyweightExercise(exercise) {
+    if (this._getMeasurementMode(exercise) !== 'weight_reps') return false;
+    const details = getAllExercises(this.userData?.customExercises).find(ex => ex.name === exercise.name);
+    return isBodyweightExercise({ ...details, ...exercise });
+  }
+
+  _getLoadingMode(exercise) {
+    return exercise.loading || this.userData?.progressions?.[exercise.name]?.loading || 'bodyweight';
+  }
+
+// 6.A.6: Check Set Is Logged
+  _isSetLogged(exercise, set) {
+    // Bodyweight reps count even with nothing added or taken off
+    if (this._isBodyweightExercise(exercise)) return (parseInt(set.reps, 10) || 0) > 0;
+    return isSetMeasured(set, this._getMeasurementMode(exercise));
+  }
+
+// 6.A.7: Check Unilateral Exercise
+  _isUnilateralExercise(exercise) {
+    if (!MEASUREMENT_MODES[this._getMeasurementMode(exercise)].fields.includes('reps')) return false;
+    const details = getAllExercises(this.userData?.customExercises).find(ex => ex.name === exercise.name);
+    return isUnilateralExercise({ ...details, ...exercise });
+  }
+
 // 6.B: Get Exercise Category
   _getExerciseCategory(exerciseName) {
     const compoundExercises = [
@@ -311,8 +1044,9 @@ SECTION 6: HELPER METHODS
   _getExerciseMuscleGroup(exerciseName) {
     const name = exerciseName.toLowerCase();
     
-    for (const group in exerciseDatabase) {
-      if (exerciseDatabase[group].some(ex => ex.name.toLowerCase() === name)) {
+    const catalog = getExerciseCatalog(this.userData?.customExercises);
+    for (const group in catalog) {
+      if (catalog[group].some(ex => ex.name.toLowerCase() === name)) {
         return group;
       }
     }
@@ -331,13 +1065,144 @@ SECTION 6: HELPER METHODS
     return 'general';
   }
 
+// 6.C.1: Get Working Weight
+  _getWorkingWeight(exercise) {
+    const enteredSet = (exercise.sets || []).find(set => parseFloat(set.weight) > 0);
+    if (enteredSet) return parseFloat(enteredSet.weight);
+    return exercise.targetLoad || this.userData?.progressions?.[exercise.name]?.targetLoad || 0;
+  }
+
+// 6.C.1.a: Get Plate Breakdown Text
+  _getPlateBreakdownText(exercise) {
+    const workingWeight = this._getWorkingWeight(exercise);
+    const breakdown = this.workoutEngine.getPlateBreakdown(workingWeight, exercise, this.units);
+    if (!breakdown) return '';
+
+    const plates = breakdown.perSide.length > 0 ? `Per side: ${breakdown.perSide.join(' + ')}` : 'Empty bar';
+    const closest = breakdown.isExact ? '' : `, closest to ${workingWeight}`;
+    return `${plates} (${breakdown.load} ${this.units}${closest})`;
+  }
+
+// 6.C.2: Get Warm-up Sets
+  _areWarmupsEnabled(exercise) {
+    // Ramps are built from percentages of a working load, so only weight × reps work gets them
+    if (this._getMeasurementMode(exercise) !== 'weight_reps' || this._isBodyweightExercise(exercise)) return false;
+    if (exercise.warmupsEnabled !== undefined) return exercise.warmupsEnabled;
+    return this.userData?.warmupPreferences?.[exercise.name] !== false;
+  }
+
+  _getWarmupSets(exercise) {
+    if (!this._areWarmupsEnabled(exercise)) return [];
+    return this.workoutEngine.generateWarmupSets(exercise, this._getWorkingWeight(exercise), this.units);
+  }
+
+// 6.C.3: Get Exercise Group
+  _getExerciseGroup(exercise) {
+    if (!exercise?.groupId) return null;
+    return this.workout?.exerciseGroups?.[exercise.groupId] || null;
+  }
+
+  _getExerciseGroupMembers(groupId) {
+    return this.workout.exercises
+      .map((exercise, index) => (exercise.groupId === groupId ? index : -1))
+      .filter(index => index > -1);
+  }
+
+// 6.C.4: Focus Exercise
+  _focusExercise(exerciseIndex) {
+    const groupedExercises = this._getGroupedExercises();
+    Object.keys(groupedExercises).forEach((groupKey, groupIndex) => {
+      const position = groupedExercises[groupKey].findIndex(ex => ex.originalIndex === exerciseIndex);
+      if (position > -1) {
+        this.activeGroupIndex = groupIndex;
+        this.activeExerciseIndex = position;
+      }
+    });
+  }
+
+// 6.C.5: Get Previous Performance
+  _getPreviousExercise(exerciseName) {
+    if (!this.previousExercises.has(exerciseName)) {
+      const previous = [...(this.userData?.workouts || [])]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .flatMap(workout => workout.exercises || [])
+        .find(ex => ex.name === exerciseName && ex.completedSets?.length > 0);
+      this.previousExercises.set(exerciseName, previous || null);
+    }
+    return this.previousExercises.get(exerciseName);
+  }
+
+// 6.C.5.a: Get Previous Exercise Note
+  // Notes are sparse, so look past the last session to the last one that has a note
+  _getPreviousExerciseNote(exerciseName) {
+    const workouts = [...(this.userData?.workouts || [])].sort((a, b) => new Date(b.date) - new Date(a.date));
+    for (const workout of workouts) {
+      const exercise = (workout.exercises || []).find(ex => ex.name === exerciseName && ex.notes);
+      if (exercise) return { notes: exercise.notes, date: workout.date };
+    }
+    return null;
+  }
+
+// 6.C.6: Get Prescribed Set Target
+  _getProgression(exercise) {
+    const previous = this._getPreviousExercise(exercise.name);
+    return this.userData?.progressions?.[exercise.name]
+      || (previous ? this.workoutEngine.calculateProgression(previous) : null);
+  }
+
+  _getSetTarget(exercise) {
+    const progression = this._getProgression(exercise);
+    if (!progression) return null;
+
+    const targetLoad = exercise.targetLoad || progression.targetLoad || 0;
+    const reps = parseInt(progression.targetReps, 10) || 0;
+    switch (this._getMeasurementMode(exercise)) {
+      case 'duration':
+        return progression.target ? { durationSeconds: progression.target } : null;
+      case 'weighted_duration':
+        return progression.target && targetLoad ? { weight: targetLoad, durationSeconds: progression.target } : null;
+      case 'distance':
+        return progression.target ? { weight: targetLoad || '', distanceMeters: progression.target } : null;
+      case 'reps':
+        return reps ? { reps, ...this._getSideTarget(exercise, reps) } : null;
+      default:
+        break;
+    }
+    if (!reps) return null;
+    if (this._isBodyweightExercise(exercise)) {
+      const loading = progression.loading || 'bodyweight';
+      return { weight: loading === 'bodyweight' ? 0 : targetLoad, assisted: loading === 'assisted', loading, reps, ...this._getSideTarget(exercise, reps) };
+    }
+    return targetLoad ? { weight: targetLoad, reps, ...this._getSideTarget(exercise, reps) } : null;
+  }
+
+  _getSideTarget(exercise, reps) {
+    return this._isUnilateralExercise(exercise) ? { leftReps: reps, rightReps: reps } : {};
+  }
+
+// 6.C.7: Format Set Values
+  _formatSetValues(exercise, values) {
+    const mode = this._getMeasurementMode(exercise);
+    if (mode !== 'weight_reps') return describeMeasuredSet(values, mode, weight => weight, this.units);
+
+    const reps = values.leftReps !== undefined ? describeSideReps(values) : values.reps;
+    const load = this._isBodyweightExercise(exercise)
+      ? describeBodyweightLoad(values, weight => weight, this.units)
+      : `${values.weight} ${this.units}`;
+    return `${load} × ${reps}`;
+  }
+
 // 6.D: Get Grouped Exercises
   _getGroupedExercises() {
     if (!this.workout || !this.workout.exercises) {
       return {};
     }
     return this.workout.exercises.reduce((acc, exercise, index) => {
-      const group = (exercise.muscleGroup || this._getExerciseMuscleGroup(exercise.name)).toUpperCase();
+      // Supersets and circuits get their own tab so their members can alternate
+      const exerciseGroup = this._getExerciseGroup(exercise);
+      const group = exerciseGroup
+        ? `${(EXERCISE_GROUP_TYPES[exerciseGroup.type] || EXERCISE_GROUP_TYPES.superset).label} ${exercise.groupId}`.toUpperCase()
+        : (exercise.muscleGroup || this._getExerciseMuscleGroup(exercise.name)).toUpperCase();
       if (!acc[group]) {
         acc[group] = [];
       }
@@ -366,11 +1231,32 @@ SECTION 7: RENDERING
         <header class="workout-header">
           <div class="workout-header-content">
              <h1 class="workout-session-title">${this.workout.name}</h1>
-             <p class="workout-session-subtitle">${workoutDate}</p>
+             <p class="workout-session-subtitle">${workoutDate}${this.workout.readiness ? ` · Readiness ${this.workout.readiness.score}/10` : ''}</p>
+             ${this.workout.programWeek ? html`
+               <p class="workout-session-subtitle">
+                 Week ${this.workout.programWeek.week} of ${this.workout.programWeek.totalWeeks}${this.workout.phase ? ` · ${this.workout.phase}` : ''} · Target ${formatEffort(this.workout.programWeek.targetRir, getEffortScale(this.userData))}
+               </p>
+             ` : ''}
           </div>
           <div class="timer-display">${this.stopwatchDisplay}</div>
         </header>
 
+        ${this.restTimer ? this._renderRestTimer() : ''}
+
+        ${this.workout.feedbackAdjustments?.length > 0 ? html`
+          <div class="feedback-adjustment-banner">
+            <strong>Adjusted from your last feedback</strong>
+            ${this.workout.feedbackAdjustments.map(adjustment => html`<p>${adjustment.message}</p>`)}
+          </div>
+        ` : ''}
+
+        ${this.workout.volumeWarnings?.length > 0 ? html`
+          <div class="volume-warning-banner">
+            <strong>Volume warning</strong>
+            ${this.workout.volumeWarnings.map(warning => html`<p>${warning.message}</p>`)}
+          </div>
+        ` : ''}
+
         <div class="workout-session-card">
           <div class="workout-group-tabs-container">
             <div class="workout-group-tabs">
@@ -383,6 +1269,12 @@ SECTION 7: RENDERING
                 </button>
               `)}
             </div>
+            ${groupKeys.length > 1 ? html`
+              <div class="session-edit-actions group-order-actions">
+                <button class="btn-icon-sm" @click=${() => this._moveGroup(this.activeGroupIndex, -1)} ?disabled=${this.activeGroupIndex === 0} aria-label="Move Group Earlier">◀</button>
+                <button class="btn-icon-sm" @click=${() => this._moveGroup(this.activeGroupIndex, 1)} ?disabled=${this.activeGroupIndex === groupKeys.length - 1} aria-label="Move Group Later">▶</button>
+              </div>
+            ` : ''}
           </div>
           
           <div class="exercise-content-container">
@@ -390,8 +1282,21 @@ SECTION 7: RENDERING
           </div>
         </div>
 
+        <textarea
+          class="note-input session-note"
+          rows="2"
+          placeholder="Session notes, e.g. left shoulder tweaky"
+          .value=${this.workout.notes || ''}
+          @input=${(e) => this._handleNoteInput(e.target.value)}
+          aria-label="Session notes"
+        ></textarea>
+
+        <button class="btn btn-secondary add-exercise-btn" @click=${() => { this.showAddExerciseModal = true; }}>
+            + Add Exercise
+        </button>
+
         <div class="workout-actions">
-            <button class="btn btn-secondary" @click=${() => this.dispatchEvent(new CustomEvent('workout-cancelled', { bubbles: true, composed: true }))}>
+            <button class="btn btn-secondary" @click=${this._cancelWorkout}>
                 Cancel Workout
             </button>
             <button class="btn btn-primary cta-button" @click=${this._completeWorkout} ?disabled=${this.isSaving}>
@@ -399,6 +1304,16 @@ SECTION 7: RENDERING
             </button>
         </div>
         ${this.showSubstitutionModal ? this._renderSubstitutionModal() : ''}
+        ${this.showAddExerciseModal ? this._renderAddExerciseModal() : ''}
+        ${this.infoExercise ? this._renderExerciseInfoModal() : ''}
+        ${this.showFeedbackModal ? html`
+          <workout-feedback-modal
+            .heading=${`${this.feedbackMuscleGroup.charAt(0).toUpperCase() + this.feedbackMuscleGroup.slice(1)} Feedback`}
+            .feedbackData=${this.workoutEngine.muscleFeedbackQuestions}
+            .onFeedbackSubmit=${(answers) => this._handleFeedbackSubmit(answers)}
+            .onClose=${() => this._closeFeedbackModal()}
+          ></workout-feedback-modal>
+        ` : ''}
       </div>
     `;
   }
@@ -441,51 +1356,75 @@ SECTION 7: RENDERING
       const exercise = activeGroup[this.activeExerciseIndex];
       if (!exercise) return html``;
 
+      const measurementMode = this._getMeasurementMode(exercise);
+      const { fields } = MEASUREMENT_MODES[measurementMode];
+      // Single-field modes keep the four-column grid by leaving the weight column empty
+      const columns = fields.length === 1 ? [null, ...fields] : fields;
+      const isBodyweight = this._isBodyweightExercise(exercise);
+      const loading = this._getLoadingMode(exercise);
+      const bodyweight = getBodyweight(this.userData, this.units);
+      const progression = this._getProgression(exercise);
+      const target = this._getSetTarget(exercise);
+
       return html`
         <div class="exercise-log-card">
             <div class="exercise-log-header">
               <div class="exercise-log-name">
                 <h3>${exercise.name}</h3>
-                <p>${exercise.targetReps || '8-12'} reps</p> 
+                <p>${exercise.targetReps || '8-12'}${fields.includes('reps') ? ' reps' : ''}${exercise.targetRir !== undefined && exercise.targetRir !== null ? ` @ ${formatEffort(exercise.targetRir, getEffortScale(this.userData))}` : ''}</p> 
+                ${this._getPlateBreakdownText(exercise) ? html`<p class="plate-breakdown">${this._getPlateBreakdownText(exercise)}</p>` : ''}
+                ${progression?.note ? html`<p class="progression-note">${progression.note}</p>` : ''}
+                ${isBodyweight ? html`
+                  <div class="loading-mode-toggle" role="group" aria-label="Bodyweight loading">
+                    ${Object.entries(LOADING_MODES).map(([mode, config]) => html`
+                      <button class="set-type-chip ${loading === mode ? 'active' : ''}" @click=${() => this._setLoadingMode(exercise.originalIndex, mode)}>${config.label}</button>
+                    `)}
+                  </div>
+                  <p class="bodyweight-note">${bodyweight ? `Bodyweight: ${bodyweight} ${this.units}` : 'Add your bodyweight in Settings to count it in volume.'}</p>
+                ` : ''}
               </div>
               <div class="exercise-log-actions">
+                 ${measurementMode === 'weight_reps' && !isBodyweight ? html`<button 
+                   class="btn-icon-sm warmup-toggle ${this._areWarmupsEnabled(exercise) ? 'active' : ''}" 
+                   @click=${() => this._toggleWarmups(exercise.originalIndex)} 
+                   aria-label="Toggle Warm-up Sets"
+                 >W</button>` : ''}
                  <button class="btn-icon-sm" @click=${() => this._showSubstitutionModal(exercise)} aria-label="Substitute Exercise">
                     <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                 </button>
-                <button class="btn-icon-sm" aria-label="Exercise Info">
+                <button class="btn-icon-sm" @click=${() => this._showExerciseInfo(exercise)} aria-label="Exercise Info">
                   <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg>
                 </button>
               </div>
             </div>
+            ${this._renderExerciseNotes(exercise)}
             <div class="log-table-header">
               <span>SET</span>
-              <span>WEIGHT (${this.units})</span>
-              <span>REPS</span>
+              ${columns.map(field => html`<span>${field === 'weight' ? this._getWeightColumnLabel(isBodyweight, loading) : MEASUREMENT_FIELDS[field]?.label || ''}</span>`)}
               <span>LOG</span>
             </div>
+            ${this._getWarmupSets(exercise).map((warmup, warmupIndex) => html`
+              <div class="set-row-log warmup-set-row ${exercise.warmupsCompleted?.[warmupIndex] ? 'completed' : ''}">
+                <span class="set-number">W${warmupIndex + 1}</span>
+                <span class="warmup-set-value">${warmup.weight}</span>
+                <span class="warmup-set-value">${warmup.reps}</span>
+                <button 
+                  class="set-log-checkbox" 
+                  @click=${() => this._toggleWarmupComplete(exercise.originalIndex, warmupIndex)} 
+                  aria-label="Log Warm-up Set ${warmupIndex + 1}"
+                >
+                  ${exercise.warmupsCompleted?.[warmupIndex] ? html`<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>` : ''}
+                </button>
+              </div>
+            `)}
             ${(exercise.sets || []).map((set, setIndex) => html`
               <div class="set-row-log ${set.completed ? 'completed' : ''}">
-                <span class="set-number">${setIndex + 1}</span>
-                <input 
-                  type="number"
-                  inputmode="decimal"
-                  pattern="[0-9]*"
-                  maxlength="3"
-                  class="set-input-log" 
-                  placeholder="-" 
-                  .value=${set.weight || ''} 
-                  @input=${(e) => this._handleSetInput(exercise.originalIndex, setIndex, 'weight', e.target.value)}
-                >
-                <input 
-                  type="number"
-                  inputmode="numeric"
-                  pattern="[0-9]*"
-                  maxlength="3"
-                  class="set-input-log" 
-                  placeholder="${this._getRepPlaceholder(exercise)}" 
-                  .value=${set.reps || ''} 
-                  @input=${(e) => this._handleSetInput(exercise.originalIndex, setIndex, 'reps', e.target.value)}
-                >
+                ${measurementMode === 'weight_reps' ? html`<button 
+                  class="set-number set-type-btn" 
+                  @click=${() => this._toggleSetTypePicker(exercise.originalIndex, setIndex)} 
+                  aria-label="Change Type of Set ${setIndex + 1}"
+                >${setIndex + 1}${SET_TYPES[this._getSetType(exercise, set)].short ? html`<small>${SET_TYPES[this._getSetType(exercise, set)].short}</small>` : ''}</button>` : html`<span class="set-number">${setIndex + 1}</span>`}
+                ${columns.map(field => this._renderSetField(exercise, set, setIndex, field))}
                 <button 
                   class="set-log-checkbox" 
                   @click=${() => this._toggleSetComplete(exercise.originalIndex, setIndex)} 
@@ -494,9 +1433,248 @@ SECTION 7: RENDERING
                   ${set.completed ? html`<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>` : ''}
                 </button>
               </div>
+              ${!set.completed ? this._renderSetGuide(exercise, setIndex, target) : ''}
+              ${measurementMode === 'weight_reps' && this.setTypePicker?.exerciseIndex === exercise.originalIndex && this.setTypePicker?.setIndex === setIndex
+                ? this._renderSetTypePicker(exercise, set, setIndex)
+                : ''}
+              ${measurementMode === 'weight_reps' ? this._renderSetSegments(exercise, set, setIndex) : ''}
+              ${set.completed ? html`
+                <div class="set-meta">
+                  ${this._renderSetNote(exercise, set, setIndex)}
+                  ${this._renderEffortCapture(exercise, set, setIndex)}
+                </div>
+              ` : ''}
             `)}
+            ${this._renderSessionEditActions(exercise, activeGroup)}
+        </div>
+      `;
+  }
+
+// 7.C.0: Render Set Field
+  _renderSetField(exercise, set, setIndex, field) {
+    if (!field) return html`<span class="warmup-set-value">—</span>`;
+    if (field === 'weight' && this._getLoadingMode(exercise) === 'bodyweight' && this._isBodyweightExercise(exercise)) {
+      return html`<span class="warmup-set-value">BW</span>`;
+    }
+
+    let placeholder = exercise.targetReps || '-';
+    if (field === 'weight') placeholder = '-';
+    if (field === 'reps' && this._isUnilateralExercise(exercise)) {
+      return html`
+        <div class="side-reps-inputs">
+          ${[['leftReps', 'L', 'Left'], ['rightReps', 'R', 'Right']].map(([side, short, label]) => html`
+            <input 
+              type="number"
+              inputmode="numeric"
+              pattern="[0-9]*"
+              maxlength="3"
+              class="set-input-log" 
+              placeholder="${short}" 
+              aria-label="${label} Reps, Set ${setIndex + 1}"
+              .value=${set[side] || ''} 
+              @input=${(e) => this._handleSideRepsInput(exercise.originalIndex, setIndex, side, e.target.value)}
+            >
+          `)}
+        </div>
+      `;
+    }
+    if (field === 'reps') {
+      placeholder = this._getSetType(exercise, set) === 'amrap' ? 'AMRAP' : this._getRepPlaceholder(exercise);
+    }
+    return html`
+      <input 
+        type="number"
+        inputmode="${MEASUREMENT_FIELDS[field].inputmode}"
+        pattern="[0-9]*"
+        maxlength="${MEASUREMENT_FIELDS[field].maxLength}"
+        class="set-input-log" 
+        placeholder="${placeholder}" 
+        .value=${set[field] || ''} 
+        @input=${(e) => this._handleSetInput(exercise.originalIndex, setIndex, field, e.target.value)}
+      >
+    `;
+  }
+
+// 7.C.0.a: Get Weight Column Label
+  _getWeightColumnLabel(isBodyweight, loading) {
+    if (!isBodyweight) return `WEIGHT (${this.units})`;
+    if (loading === 'bodyweight') return LOADING_MODES.bodyweight.columnLabel;
+    return `${LOADING_MODES[loading].columnLabel} (${this.units})`;
+  }
+
+// 7.C.0.b: Render Set Type Picker
+  _renderSetTypePicker(exercise, set, setIndex) {
+    const currentType = this._getSetType(exercise, set);
+    return html`
+      <div class="set-type-picker" role="group" aria-label="Set type">
+        ${Object.entries(SET_TYPES).map(([type, config]) => html`
+          <button 
+            class="set-type-chip ${currentType === type ? 'active' : ''}" 
+            @click=${() => this._handleSetTypeChange(exercise.originalIndex, setIndex, type)}
+          >${config.label}</button>
+        `)}
+      </div>
+    `;
+  }
+
+// 7.C.0.c: Render Set Segments
+  _renderSetSegments(exercise, set, setIndex) {
+    const config = SET_TYPES[this._getSetType(exercise, set)];
+    if (!config.segmentLabel) return '';
+
+    return html`
+      ${(set.segments || []).map((segment, segmentIndex) => html`
+        <div class="set-row-log set-segment-row ${set.completed ? 'completed' : ''}">
+          <span class="set-number">${config.short}${segmentIndex + 1}</span>
+          ${config.segmentHasWeight ? html`
+            <input 
+              type="number"
+              inputmode="decimal"
+              class="set-input-log" 
+              placeholder="-" 
+              .value=${segment.weight || ''} 
+              @input=${(e) => this._handleSegmentInput(exercise.originalIndex, setIndex, segmentIndex, 'weight', e.target.value)}
+            >
+          ` : html`<span class="warmup-set-value">${set.weight || '-'}</span>`}
+          <input 
+            type="number"
+            inputmode="numeric"
+            class="set-input-log" 
+            placeholder="reps" 
+            .value=${segment.reps || ''} 
+            @input=${(e) => this._handleSegmentInput(exercise.originalIndex, setIndex, segmentIndex, 'reps', e.target.value)}
+          >
+          <button 
+            class="btn-icon-sm" 
+            @click=${() => this._removeSetSegment(exercise.originalIndex, setIndex, segmentIndex)} 
+            aria-label="Remove ${config.segmentLabel} ${segmentIndex + 1}"
+          >×</button>
         </div>
+      `)}
+      <button class="set-segment-add" @click=${() => this._addSetSegment(exercise.originalIndex, setIndex)}>+ ${config.segmentLabel}</button>
+    `;
+  }
+
+// 7.C.0.d: Render Effort Capture
+  _renderEffortCapture(exercise, set, setIndex) {
+    const scale = getEffortScale(this.userData);
+    const isOpen = this.effortPicker?.exerciseIndex === exercise.originalIndex && this.effortPicker?.setIndex === setIndex;
+    if (!isOpen) {
+      return html`
+        <button class="effort-tag ${hasEffortRating(set) ? '' : 'unrated'}" @click=${() => this._toggleEffortPicker(exercise.originalIndex, setIndex)}>
+          ${hasEffortRating(set) ? formatEffort(set.rir, scale) : `Rate ${EFFORT_SCALES[scale].label}`}
+        </button>
       `;
+    }
+
+    const selected = fromRir(set.rir, scale);
+    return html`
+      <div class="effort-picker" role="group" aria-label="Effort for set ${setIndex + 1}">
+        <span class="effort-picker-label">${EFFORT_SCALES[scale].label}</span>
+        ${EFFORT_SCALES[scale].options.map(option => html`
+          <button 
+            class="set-type-chip ${hasEffortRating(set) && selected === option ? 'active' : ''}" 
+            @click=${() => this._handleEffortSelect(exercise.originalIndex, setIndex, option)}
+          >${scale === 'rir' && option === 5 ? '5+' : option}</button>
+        `)}
+      </div>
+    `;
+  }
+
+// 7.C.0.d.1: Render Set Note
+  _renderSetNote(exercise, set, setIndex) {
+    const isOpen = this.noteEditor?.exerciseIndex === exercise.originalIndex && this.noteEditor?.setIndex === setIndex;
+    if (isOpen) {
+      return html`
+        <input
+          type="text"
+          class="note-input set-note-input"
+          placeholder="Set note"
+          .value=${set.notes || ''}
+          @input=${(e) => this._handleNoteInput(e.target.value, exercise.originalIndex, setIndex)}
+          @keydown=${(e) => { if (e.key === 'Enter') this.noteEditor = null; }}
+          @blur=${() => { this.noteEditor = null; }}
+          aria-label="Note for set ${setIndex + 1}"
+        />
+      `;
+    }
+    return html`
+      <button class="set-note ${set.notes ? '' : 'empty'}" @click=${() => this._toggleSetNote(exercise.originalIndex, setIndex)}>
+        ${set.notes ? `📝 ${set.notes}` : '+ Note'}
+      </button>
+    `;
+  }
+
+// 7.C.0.d.2: Render Exercise Notes
+  _renderExerciseNotes(exercise) {
+    const previousNote = this._getPreviousExerciseNote(exercise.name);
+    return html`
+      <div class="exercise-notes">
+        ${previousNote ? html`
+          <p class="previous-note">Last note (${new Date(previousNote.date).toLocaleDateString()}): ${previousNote.notes}</p>
+        ` : ''}
+        <textarea
+          class="note-input"
+          rows="1"
+          placeholder="Exercise note, e.g. used the 2nd-floor rack"
+          .value=${exercise.notes || ''}
+          @input=${(e) => this._handleNoteInput(e.target.value, exercise.originalIndex)}
+          aria-label="Notes for ${exercise.name}"
+        ></textarea>
+      </div>
+    `;
+  }
+
+// 7.C.0.e: Render Set Guide
+  _renderSetGuide(exercise, setIndex, target) {
+    const previousSets = this._getPreviousExercise(exercise.name)?.completedSets || [];
+    const previous = previousSets[setIndex] || previousSets[previousSets.length - 1];
+    if (!previous && !target) return '';
+
+    return html`
+      <div class="set-guide">
+        ${previous ? html`<span class="set-guide-previous">Last: ${this._formatSetValues(exercise, previous)}${previous.notes ? ` — “${previous.notes}”` : ''}</span>` : ''}
+        ${target ? html`
+          <button 
+            class="set-guide-target" 
+            @click=${() => this._acceptSetTarget(exercise.originalIndex, setIndex)} 
+            aria-label="Use target for set ${setIndex + 1}"
+          >Target: ${this._formatSetValues(exercise, target)}</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+// 7.C.0.f: Render Session Edit Actions
+  _renderSessionEditActions(exercise, activeGroup) {
+    const index = exercise.originalIndex;
+    return html`
+      <div class="session-edit-actions">
+        <button class="session-edit-btn" @click=${() => this._removeSet(index)} aria-label="Remove Set">− Set</button>
+        <button class="session-edit-btn" @click=${() => this._addSet(index)} aria-label="Add Set">+ Set</button>
+        <button class="session-edit-btn" @click=${() => this._moveExercise(index, -1)} ?disabled=${this.activeExerciseIndex === 0} aria-label="Move Exercise Earlier">◀</button>
+        <button class="session-edit-btn" @click=${() => this._moveExercise(index, 1)} ?disabled=${this.activeExerciseIndex === activeGroup.length - 1} aria-label="Move Exercise Later">▶</button>
+        <button class="session-edit-btn danger" @click=${() => this._removeExercise(index)}>Remove</button>
+      </div>
+    `;
+  }
+
+// 7.C.1: Render Rest Timer
+  _renderRestTimer() {
+    const exercise = this.workout.exercises[this.restTimer.exerciseIndex];
+    const isOvertime = this.restRemaining <= 0;
+    return html`
+      <div class="rest-timer ${isOvertime ? 'overtime' : ''}" role="timer" aria-live="polite">
+        <button class="btn-icon-sm" @click=${() => this._adjustRestTimer(-15)} aria-label="Subtract 15 seconds">-15</button>
+        <div class="rest-timer-display">
+          <span class="rest-timer-label">${isOvertime ? 'Rest over' : 'Rest'} · ${exercise?.name}</span>
+          <strong>${this._formatRestTime(this.restRemaining)}</strong>
+          <button class="rest-timer-default" @click=${this._saveRestOverride}>Use ${this._formatRestTime(this.restTimer.duration)} for this exercise</button>
+        </div>
+        <button class="btn-icon-sm" @click=${() => this._adjustRestTimer(15)} aria-label="Add 15 seconds">+15</button>
+        <button class="btn btn-secondary rest-timer-skip" @click=${this._finishRestTimer}>Skip</button>
+      </div>
+    `;
   }
 
 // 7.D: Render Substitution Modal
@@ -529,6 +1707,84 @@ _renderSubstitutionModal() {
     `;
 }
 
+// 7.E: Render Add Exercise Modal
+  _renderAddExerciseModal() {
+    const search = this.exerciseSearch.trim().toLowerCase();
+    const inWorkout = new Set(this.workout.exercises.map(ex => ex.name));
+    const matches = getAllExercises(this.userData?.customExercises)
+      .filter(ex => !inWorkout.has(ex.name))
+      .filter(ex => !search || ex.name.toLowerCase().includes(search) || ex.muscleGroup.includes(search));
+
+    return html`
+      <div class="modal-overlay" @click=${this._closeAddExerciseModal}>
+        <div class="modal-content card" @click=${(e) => e.stopPropagation()}>
+          <div class="modal-header">
+            <h3>Add Exercise</h3>
+            <button class="close-button" @click=${this._closeAddExerciseModal}>×</button>
+          </div>
+          <input
+            type="search"
+            class="add-exercise-search"
+            placeholder="Search by name or muscle"
+            .value=${this.exerciseSearch}
+            @input=${(e) => { this.exerciseSearch = e.target.value; }}
+          />
+          <div class="substitution-list">
+            ${matches.length > 0 ? matches.slice(0, 30).map(ex => html`
+              <button class="card-interactive substitute-option" @click=${() => this._handleAddExercise(ex)}>
+                <div class="substitute-info">
+                  <h4>${ex.name}</h4>
+                  <p>${ex.muscleGroup} · ${(ex.equipment || []).join(', ')}</p>
+                </div>
+              </button>
+            `) : html`<p>No exercises match your search.</p>`}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+// 7.F: Render Exercise Info Modal
+  _renderExerciseInfoModal() {
+    const info = this.infoExercise;
+    const toLabel = (key) => key.replace(/_/g, ' ');
+    const secondary = Object.entries(info.muscles).filter(([muscle]) => muscle !== info.primaryMuscle);
+    const steps = [
+      ['Setup', info.setup, 'ol'],
+      ['Execution', info.execution, 'ol'],
+      ['Common Mistakes', info.mistakes, 'ul'],
+    ].filter(([, items]) => items.length > 0);
+
+    return html`
+      <div class="modal-overlay" @click=${this._closeExerciseInfo}>
+        <div class="modal-content card exercise-info" @click=${(e) => e.stopPropagation()}>
+          <div class="modal-header">
+            <h3>${info.name}</h3>
+            <button class="close-button" @click=${this._closeExerciseInfo}>×</button>
+          </div>
+          ${info.illustration ? html`
+            <img class="exercise-info-illustration" src=${`${import.meta.env.BASE_URL}${info.illustration}`} alt=${`${info.name} form`} />
+          ` : ''}
+          <dl class="exercise-info-facts">
+            ${info.primaryMuscle ? html`<dt>Primary</dt><dd>${info.primaryMuscle}</dd>` : ''}
+            ${secondary.length > 0 ? html`
+              <dt>Secondary</dt>
+              <dd>${secondary.map(([muscle, weight]) => `${muscle} (${Math.round(weight * 100)}%)`).join(', ')}</dd>
+            ` : ''}
+            ${info.movementPattern ? html`<dt>Pattern</dt><dd>${toLabel(info.movementPattern)}</dd>` : ''}
+            ${info.equipment.length > 0 ? html`<dt>Equipment</dt><dd>${info.equipment.map(toLabel).join(', ')}</dd>` : ''}
+          </dl>
+          ${steps.length > 0 ? steps.map(([heading, items, listTag]) => html`
+            <h4 class="exercise-info-heading">${heading}</h4>
+            ${listTag === 'ol'
+              ? html`<ol class="exercise-info-list">${items.map(item => html`<li>${item}</li>`)}</ol>`
+              : html`<ul class="exercise-info-list mistakes">${items.map(item => html`<li>${item}</li>`)}</ul>`}
+          `) : html`<p class="modal-subtitle">No instructions are available for this exercise yet.</p>`}
+        </div>
+      </div>
+    `;
+  }
+
 /*
 ===============================================
 SECTION 8: STYLES AND ELEMENT DEFINITION
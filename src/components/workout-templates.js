@@ -6,6 +6,13 @@ SECTION 1: COMPONENT AND SERVICE IMPORTS
 import { LitElement, html, css } from "lit";
 import { saveDataLocally, getDataLocally } from "../services/local-storage.js";
 import { sanitizeHTML } from "../services/sanitization.js";
+import { EXERCISE_GROUP_TYPES, PERIODIZATION_MODELS } from "../services/workout-engine.js";
+import { MEASUREMENT_MODES } from "../services/measurement-modes.js";
+import { getCustomExercises } from "../services/custom-exercises.js";
+import "./custom-exercises-modal.js";
+
+// Exercise picker value that opens the custom exercise form instead of selecting a name
+const NEW_CUSTOM_EXERCISE = '__new_custom__';
 
 /*
 ===============================================
@@ -29,8 +36,11 @@ class WorkoutTemplates extends LitElement {
     selectedDurationType: { type: String },
     selectedDuration: { type: Number },
     selectedStartWorkout: { type: Number },
+    selectedPeriodization: { type: String },
     showDeleteConfirmation: { type: Boolean },
     dayToDeleteIndex: { type: Number },
+    customExercises: { type: Array },
+    customExerciseGroup: { type: String },
   };
 
   // 2.B: Constructor
@@ -52,8 +62,11 @@ class WorkoutTemplates extends LitElement {
     this.selectedDurationType = 'weeks';
     this.selectedDuration = 4;
     this.selectedStartWorkout = 0;
+    this.selectedPeriodization = getDataLocally()?.periodizationModel || 'linear';
     this.showDeleteConfirmation = false;
     this.dayToDeleteIndex = null;
+    this.customExercises = [];
+    this.customExerciseGroup = null;
 
     this.exerciseDatabase = {
         'chest': [
@@ -292,7 +305,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Barbell Bench Press", sets: [{}, {}, {}], targetReps: "8-10" },
             { name: "Bent Over Barbell Row", sets: [{}, {}, {}], targetReps: "8-10" },
             { name: "Leg Press", sets: [{}, {}], targetReps: "10-12" },
-            { name: "Plank", sets: [{}, {}, {}], targetReps: "30-60s" }
+            { name: "Plank", sets: [{}, {}, {}], targetReps: "30-60s", measurementMode: "duration" }
         ]
     },
     {
@@ -304,7 +317,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Overhead Press (Barbell or Dumbbell)", sets: [{}, {}, {}], targetReps: "8-10" },
             { name: "Lat Pulldown", sets: [{}, {}, {}], targetReps: "8-10" },
             { name: "Dumbbell Lunges", sets: [{}, {}], targetReps: "10-12 per leg" },
-            { name: "Lying Leg Raises", sets: [{}, {}, {}], targetReps: "12-15" }
+            { name: "Lying Leg Raises", sets: [{}, {}, {}], targetReps: "12-15", measurementMode: "reps" }
         ]
     },
     {
@@ -393,7 +406,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Incline Dumbbell Bench Press", sets: [{}, {}, {}], targetReps: "8-12" },
             { name: "Dumbbell Row", sets: [{}, {}, {}], targetReps: "10-15" },
             { name: "Lateral Raise", sets: [{}, {}, {}], targetReps: "10-15" },
-            { name: "Plank", sets: [{}, {}], targetReps: "Failure" }
+            { name: "Plank", sets: [{}, {}], targetReps: "Failure", measurementMode: "duration" }
         ]
     },
     {
@@ -405,7 +418,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Bent Over Row", sets: [{}, {}, {}], targetReps: "5-8" },
             { name: "Dumbbell Overhead Press", sets: [{}, {}, {}], targetReps: "6-10" },
             { name: "Dumbbell Bicep Curl", sets: [{}, {}], targetReps: "10-12" },
-            { name: "Dead Bugs", sets: [{}, {}], targetReps: "6-12 per side" }
+            { name: "Dead Bugs", sets: [{}, {}], targetReps: "6-12 per side", measurementMode: "reps" }
         ]
     },
     {
@@ -489,7 +502,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Romanian Deadlifts", sets: [{}, {}, {}], targetReps: "8-10" },
             { name: "Walking Lunges", sets: [{}, {}, {}], targetReps: "10-12 per leg" },
             { name: "Leg Extensions", sets: [{}, {}, {}], targetReps: "12-15" },
-            { name: "Hanging Leg Raises", sets: [{}, {}, {}], targetReps: "15-20" }
+            { name: "Hanging Leg Raises", sets: [{}, {}, {}], targetReps: "15-20", measurementMode: "reps" }
         ]
     },
     {
@@ -640,7 +653,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Dumbbell Lateral Raise", sets: [{}, {}, {}], targetReps: "10-15" },
             { name: "Upright Row", sets: [{}, {}, {}], targetReps: "8-12" },
             { name: "Barbell Shrug", sets: [{}], targetReps: "5-minute burn" },
-            { name: "Hanging Leg Raise", sets: [{}, {}, {}], targetReps: "15-20" },
+            { name: "Hanging Leg Raise", sets: [{}, {}, {}], targetReps: "15-20", measurementMode: "reps" },
             { name: "Cable Crunch", sets: [{}, {}, {}], targetReps: "15-20" }
         ]
     },
@@ -703,7 +716,7 @@ class WorkoutTemplates extends LitElement {
             { name: "Incline Dumbbell Curl", sets: [{}, {}, {}], targetReps: "10-12" },
             { name: "Tricep Kickback", sets: [{}, {}, {}], targetReps: "12-15" },
             { name: "Hammer Curl", sets: [{}, {}, {}], targetReps: "12-15" },
-            { name: "Hanging Leg Raise", sets: [{}, {}, {}, {}], targetReps: "Failure" }
+            { name: "Hanging Leg Raise", sets: [{}, {}, {}, {}], targetReps: "Failure", measurementMode: "reps" }
         ]
     },
     {
@@ -879,6 +892,7 @@ SECTION 3: LIFECYCLE AND DATA HANDLING
       this.newTemplateName = routineToEdit.name;
       this.newTemplateDays = routineToEdit.workouts.map((workout, index) => ({
         name: workout.name.split(' - ')[1] || `Day ${index + 1}`,
+        exerciseGroups: { ...(workout.exerciseGroups || {}) },
         exercises: workout.exercises.map(ex => ({
           ...ex,
           sets: ex.sets.length,
@@ -896,6 +910,7 @@ SECTION 3: LIFECYCLE AND DATA HANDLING
     try {
       const data = getDataLocally();
       this.templates = [...(data?.templates || [])];
+      this.customExercises = getCustomExercises(data);
     } catch (error) {
       this.errorMessage = "Failed to load templates.";
       console.error(error);
@@ -948,6 +963,33 @@ _addExerciseToTemplate(dayIndex) {
     this.newTemplateDays = updatedDays;
   }
 
+// 5.B.1: Handle Exercise Select
+  // Custom exercises logged other than weight × reps bring their measurement along
+  _handleExerciseSelect(dayIndex, exerciseIndex, name, select = null) {
+    if (name === NEW_CUSTOM_EXERCISE) {
+      // The picker keeps the current choice until the new exercise is saved
+      if (select) select.value = this.newTemplateDays[dayIndex].exercises[exerciseIndex].name;
+      this.customExerciseGroup = this.newTemplateDays[dayIndex].exercises[exerciseIndex].muscleGroup || '';
+      return;
+    }
+    const updatedDays = [...this.newTemplateDays];
+    const exercise = updatedDays[dayIndex].exercises[exerciseIndex];
+    exercise.name = name;
+    const custom = this.customExercises.find(ex => ex.name === name);
+    if (custom) exercise.measurementMode = custom.measurementMode || 'weight_reps';
+    this.newTemplateDays = updatedDays;
+  }
+
+// 5.B.2: Handle Custom Exercise Saved
+  _handleCustomExerciseSaved(exercise) {
+    this.customExerciseGroup = null;
+    this.customExercises = getCustomExercises(getDataLocally());
+    const updatedDays = [...this.newTemplateDays];
+    updatedDays[this.activeDayIndex].exercises[this.activeExerciseIndex].muscleGroup = exercise.muscleGroup;
+    this.newTemplateDays = updatedDays;
+    this._handleExerciseSelect(this.activeDayIndex, this.activeExerciseIndex, exercise.name);
+  }
+
 // 5.C: Handle Muscle Group Change
   _handleMuscleGroupChange(dayIndex, exerciseIndex, value) {
     const updatedDays = [...this.newTemplateDays];
@@ -956,6 +998,30 @@ _addExerciseToTemplate(dayIndex) {
     this.newTemplateDays = updatedDays;
   }
 
+// 5.C.1: Handle Exercise Group Change
+  _handleExerciseGroupChange(dayIndex, exerciseIndex, groupId) {
+    const updatedDays = [...this.newTemplateDays];
+    const day = updatedDays[dayIndex];
+    day.exercises[exerciseIndex].groupId = groupId || undefined;
+    day.exerciseGroups = { ...(day.exerciseGroups || {}) };
+    if (groupId && !day.exerciseGroups[groupId]) {
+        day.exerciseGroups[groupId] = { type: 'superset', restSeconds: EXERCISE_GROUP_TYPES.superset.defaultRestSeconds };
+    }
+    this.newTemplateDays = updatedDays;
+  }
+
+// 5.C.2: Handle Group Setting Change
+  _handleGroupSettingChange(dayIndex, groupId, field, value) {
+    const updatedDays = [...this.newTemplateDays];
+    const day = updatedDays[dayIndex];
+    const group = { ...day.exerciseGroups[groupId], [field]: field === 'restSeconds' ? Number(value) || 0 : value };
+    if (field === 'type') {
+        group.restSeconds = EXERCISE_GROUP_TYPES[value].defaultRestSeconds;
+    }
+    day.exerciseGroups = { ...day.exerciseGroups, [groupId]: group };
+    this.newTemplateDays = updatedDays;
+  }
+
 // 5.D: Remove Exercise
   _removeExercise(dayIndex, exerciseIndex) {
     const updatedDays = [...this.newTemplateDays];
@@ -1055,14 +1121,26 @@ _addExerciseToTemplate(dayIndex) {
                 if (!day.name.trim()) throw new Error("All days must have a name");
                 const validExercises = day.exercises.filter(ex => ex.name && ex.muscleGroup);
                 if (validExercises.length === 0) throw new Error(`Please add at least one exercise to ${day.name}`);
+
+                // A group needs at least two exercises; a lone member is saved as a straight set
+                const groupSizes = validExercises.reduce((acc, ex) => {
+                    if (ex.groupId) acc[ex.groupId] = (acc[ex.groupId] || 0) + 1;
+                    return acc;
+                }, {});
+                const exerciseGroups = Object.fromEntries(
+                    Object.entries(day.exerciseGroups || {}).filter(([groupId]) => groupSizes[groupId] > 1)
+                );
                 return {
                     name: `${sanitizeHTML(this.newTemplateName.trim())} - ${sanitizeHTML(day.name)}`,
+                    exerciseGroups,
                     exercises: validExercises.map(ex => ({
                         name: ex.name,
                         sets: Array(Number(ex.sets) || 3).fill({}),
-                        targetReps: `${Number(ex.reps) || 10}`,
+                        targetReps: `${Number(ex.reps) || 10}${this._getTargetSuffix(ex.measurementMode)}`,
                         targetRir: Number(ex.rir) || 2,
-                        muscleGroup: ex.muscleGroup
+                        muscleGroup: ex.muscleGroup,
+                        ...(ex.measurementMode ? { measurementMode: ex.measurementMode } : {}),
+                        ...(exerciseGroups[ex.groupId] ? { groupId: ex.groupId } : {})
                     }))
                 };
             })
@@ -1156,6 +1234,13 @@ SECTION 6: RENDERING LOGIC
         </header>
         ${viewContent}
         ${this.showDeleteConfirmation ? this._renderDeleteConfirmationModal() : ''}
+        ${this.customExerciseGroup !== null ? html`
+          <custom-exercises-modal
+            .initialMuscleGroup=${this.customExerciseGroup}
+            .onSaved=${(exercise) => this._handleCustomExerciseSaved(exercise)}
+            .onClose=${() => { this.customExerciseGroup = null; }}
+          ></custom-exercises-modal>
+        ` : ''}
       </div>
     `;
   }
@@ -1272,6 +1357,17 @@ SECTION 6: RENDERING LOGIC
               `)}
             </div>
           </div>
+          <div class="card">
+            <h3>Periodization</h3>
+            <p>How rep ranges, effort and sets change from week to week and day to day.</p>
+            <div class="button-toggle-group">
+              ${Object.entries(PERIODIZATION_MODELS).map(([model, label]) => html`
+                <button class="toggle-btn ${this.selectedPeriodization === model ? 'active' : ''}" @click=${() => this.selectedPeriodization = model}>
+                  ${label}
+                </button>
+              `)}
+            </div>
+          </div>
           <button class="btn btn-primary cta-button" @click=${this._startProgram}>Start Program</button>
         </div>
       `;
@@ -1284,6 +1380,7 @@ SECTION 6: RENDERING LOGIC
               program: this.selectedProgram,
               duration: { type: this.selectedDurationType, value: this.selectedDuration },
               startWorkoutIndex: this.selectedStartWorkout,
+              periodizationModel: this.selectedPeriodization,
           },
           bubbles: true, composed: true,
       }));
@@ -1292,12 +1389,20 @@ SECTION 6: RENDERING LOGIC
 // 6.G: Get Exercises For Group
   _getExercisesForGroup(groupName) {
     const normalizedGroup = groupName.toLowerCase();
-    return this.exerciseDatabase[normalizedGroup] || [];
+    const custom = this.customExercises.filter(ex => ex.muscleGroup === normalizedGroup);
+    return [...(this.exerciseDatabase[normalizedGroup] || []), ...custom];
+  }
+
+// 6.G.1: Get Target Suffix
+  _getTargetSuffix(measurementMode) {
+    if (['duration', 'weighted_duration'].includes(measurementMode)) return 's';
+    if (measurementMode === 'distance') return 'm';
+    return '';
   }
 
 // 6.H: Render New Template Form
   _renderNewTemplateForm() {
-    const muscleGroups = Object.keys(this.exerciseDatabase);
+    const muscleGroups = [...new Set([...Object.keys(this.exerciseDatabase), ...this.customExercises.map(ex => ex.muscleGroup)])];
     const activeDay = this.newTemplateDays[this.activeDayIndex];
     const activeExercise = activeDay?.exercises[this.activeExerciseIndex];
     const formTitle = this.editingRoutineId ? 'Edit Routine' : 'Create New Routine';
@@ -1327,9 +1432,9 @@ SECTION 6: RENDERING LOGIC
             </div>
             
             <div class="exercise-tabs">
-                ${activeDay.exercises.map((_, index) => html`
+                ${activeDay.exercises.map((exercise, index) => html`
                     <button class="exercise-tab-btn ${this.activeExerciseIndex === index ? 'active' : ''}" @click=${() => this.activeExerciseIndex = index}>
-                        ${index + 1}
+                        ${index + 1}${exercise.groupId || ''}
                     </button>
                 `)}
                  <button class="btn-icon add-day-btn" @click=${() => this._addExerciseToTemplate(this.activeDayIndex)}>+</button>
@@ -1345,9 +1450,10 @@ SECTION 6: RENDERING LOGIC
                                     ${muscleGroups.map(muscle => html`<option value="${muscle}" ?selected=${activeExercise.muscleGroup === muscle}>${muscle.charAt(0).toUpperCase() + muscle.slice(1)}</option>`)}
                                 </select>
                                 ${activeExercise.muscleGroup ? html`
-                                    <select class="exercise-select" .value=${activeExercise.name} @change=${(e) => this._handleExerciseInput(this.activeDayIndex, this.activeExerciseIndex, 'name', e.target.value)}>
+                                    <select class="exercise-select" .value=${activeExercise.name} @change=${(e) => this._handleExerciseSelect(this.activeDayIndex, this.activeExerciseIndex, e.target.value, e.target)}>
                                     <option value="">Select Exercise</option>
                                     ${this._getExercisesForGroup(activeExercise.muscleGroup).map(ex => html`<option value="${ex.name}" ?selected=${activeExercise.name === ex.name}>${ex.name}</option>`)}
+                                    <option value=${NEW_CUSTOM_EXERCISE}>+ New custom exercise…</option>
                                     </select>
                                 ` : ''}
                             </div>
@@ -1359,14 +1465,41 @@ SECTION 6: RENDERING LOGIC
                                 <input id=${`sets-${this.activeExerciseIndex}`} type="number" inputmode="numeric" pattern="[0-9]*" min="1" .value=${activeExercise.sets} @input=${(e) => this._handleExerciseInput(this.activeDayIndex, this.activeExerciseIndex, 'sets', e.target.value)}>
                             </div>
                             <div class="detail-item">
-                                <label for=${`reps-${this.activeExerciseIndex}`}>Reps</label>
+                                <label for=${`measure-${this.activeExerciseIndex}`}>Measure</label>
+                                <select id=${`measure-${this.activeExerciseIndex}`} @change=${(e) => this._handleExerciseInput(this.activeDayIndex, this.activeExerciseIndex, 'measurementMode', e.target.value)}>
+                                    ${Object.entries(MEASUREMENT_MODES).map(([mode, config]) => html`<option value="${mode}" ?selected=${(activeExercise.measurementMode || 'weight_reps') === mode}>${config.label}</option>`)}
+                                </select>
+                            </div>
+                            <div class="detail-item">
+                                <label for=${`reps-${this.activeExerciseIndex}`}>${{ s: 'Seconds', m: 'Meters' }[this._getTargetSuffix(activeExercise.measurementMode)] || 'Reps'}</label>
                                 <input id=${`reps-${this.activeExerciseIndex}`} type="number" inputmode="numeric" pattern="[0-9]*" min="1" .value=${activeExercise.reps} @input=${(e) => this._handleExerciseInput(this.activeDayIndex, this.activeExerciseIndex, 'reps', e.target.value)}>
                             </div>
                             <div class="detail-item">
                                 <label for=${`rir-${this.activeExerciseIndex}`}>RIR</label>
                                 <input id=${`rir-${this.activeExerciseIndex}`} type="number" inputmode="numeric" pattern="[0-9]*" min="0" .value=${activeExercise.rir} @input=${(e) => this._handleExerciseInput(this.activeDayIndex, this.activeExerciseIndex, 'rir', e.target.value)}>
                             </div>
+                            <div class="detail-item">
+                                <label for=${`group-${this.activeExerciseIndex}`}>Group</label>
+                                <select id=${`group-${this.activeExerciseIndex}`} @change=${(e) => this._handleExerciseGroupChange(this.activeDayIndex, this.activeExerciseIndex, e.target.value)}>
+                                    <option value="" ?selected=${!activeExercise.groupId}>None</option>
+                                    ${['A', 'B', 'C', 'D'].map(groupId => html`<option value="${groupId}" ?selected=${activeExercise.groupId === groupId}>${groupId}</option>`)}
+                                </select>
+                            </div>
                         </div>
+                        ${activeExercise.groupId && activeDay.exerciseGroups?.[activeExercise.groupId] ? html`
+                            <div class="exercise-details exercise-group-settings">
+                                <div class="detail-item">
+                                    <label for="group-type">Group ${activeExercise.groupId} Type</label>
+                                    <select id="group-type" @change=${(e) => this._handleGroupSettingChange(this.activeDayIndex, activeExercise.groupId, 'type', e.target.value)}>
+                                        ${Object.entries(EXERCISE_GROUP_TYPES).map(([type, config]) => html`<option value="${type}" ?selected=${activeDay.exerciseGroups[activeExercise.groupId].type === type}>${config.label}</option>`)}
+                                    </select>
+                                </div>
+                                <div class="detail-item">
+                                    <label for="group-rest">Rest After Round (s)</label>
+                                    <input id="group-rest" type="number" inputmode="numeric" pattern="[0-9]*" min="0" .value=${activeDay.exerciseGroups[activeExercise.groupId].restSeconds} @input=${(e) => this._handleGroupSettingChange(this.activeDayIndex, activeExercise.groupId, 'restSeconds', e.target.value)}>
+                                </div>
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
             ` : ''}
@@ -1,22 +1,41 @@
 // Enhanced auto-regulation system for uncannyvalleytech
+// Single source of truth for readiness scoring and the volume/load/RIR adjustments derived from it.
+
+import { getAverageRir } from "./effort-scale.js";
+
+// Readiness check-in schema shared by readiness-modal, WorkoutEngine and the session record.
+// Inverted metrics are "lower is better" and get flipped before weighting.
+export const READINESS_SCHEMA = {
+  sleep_quality: { label: 'Sleep Quality', weight: 0.3, default: 7 },
+  stress_level: { label: 'Stress Level', weight: 0.2, default: 3, inverted: true },
+  muscle_soreness: { label: 'Muscle Soreness', weight: 0.2, default: 3, inverted: true },
+  energy_level: { label: 'Energy Level', weight: 0.15, default: 7 },
+  motivation: { label: 'Motivation', weight: 0.15, default: 7 },
+};
+
+// Effort target for deload weeks, whether planned at the end of a mesocycle or triggered by fatigue
+export const DELOAD_RIR = 4;
+
+export function createDefaultReadiness() {
+  return Object.fromEntries(
+    Object.entries(READINESS_SCHEMA).map(([metric, config]) => [metric, config.default])
+  );
+}
+
 export class AutoRegulationEngine {
   constructor() {
-    this.fatigueMasks = {
-      sleep: { weight: 0.3, threshold: 6 },
-      stress: { weight: 0.25, threshold: 7 },
-      soreness: { weight: 0.2, threshold: 6 },
-      motivation: { weight: 0.15, threshold: 5 },
-      lifestyle: { weight: 0.1, threshold: 6 }
-    };
+    this.fatigueMasks = READINESS_SCHEMA;
   }
 
-  calculateRecoveryScore(checkinData) {
+  calculateRecoveryScore(checkinData = {}) {
     let totalScore = 0;
     let weightSum = 0;
 
     for (const [metric, config] of Object.entries(this.fatigueMasks)) {
-      if (checkinData[metric] !== undefined) {
-        const normalizedScore = Math.max(0, Math.min(10, checkinData[metric]));
+      const value = Number(checkinData[metric]);
+      if (checkinData[metric] !== undefined && !Number.isNaN(value)) {
+        const clamped = Math.max(1, Math.min(10, value));
+        const normalizedScore = config.inverted ? 11 - clamped : clamped;
         totalScore += normalizedScore * config.weight;
         weightSum += config.weight;
       }
@@ -25,16 +44,29 @@ export class AutoRegulationEngine {
     return weightSum > 0 ? totalScore / weightSum : 7; // Default to moderate recovery
   }
 
-  adjustWorkout(workout, recoveryScore, previousPerformance) {
+  adjustWorkout(workout, recoveryScore, previousPerformance = {}) {
     const adjustmentFactor = this.getAdjustmentFactor(recoveryScore);
-    
-    return workout.exercises.map(exercise => ({
-      ...exercise,
-      targetSets: Math.max(1, Math.round(exercise.targetSets * adjustmentFactor.volume)),
-      targetLoad: this.adjustLoad(exercise.targetLoad, adjustmentFactor.intensity, previousPerformance[exercise.id]),
-      targetRIR: Math.max(1, exercise.targetRIR + adjustmentFactor.rirAdjustment),
-      notes: this.generateAdjustmentNote(adjustmentFactor)
-    }));
+    const adjustedWorkout = JSON.parse(JSON.stringify(workout));
+
+    adjustedWorkout.exercises = (adjustedWorkout.exercises || []).map(exercise => {
+      const plannedSets = exercise.sets || [];
+      const targetSetCount = Math.max(1, Math.round(plannedSets.length * adjustmentFactor.volume));
+      const sets = plannedSets.slice(0, targetSetCount);
+      while (sets.length < targetSetCount) sets.push({});
+
+      const adjusted = { ...exercise, sets };
+      if (exercise.targetLoad) {
+        adjusted.targetLoad = this.adjustLoad(exercise.targetLoad, adjustmentFactor.intensity, previousPerformance[exercise.name]);
+      }
+      if (exercise.targetRir !== undefined && exercise.targetRir !== null) {
+        adjusted.targetRir = Math.max(0, exercise.targetRir + adjustmentFactor.rirAdjustment);
+      }
+      return adjusted;
+    });
+
+    adjustedWorkout.adjustmentNote = this.generateAdjustmentNote(adjustmentFactor);
+    adjustedWorkout.readinessScore = Math.round(recoveryScore * 10) / 10;
+    return adjustedWorkout;
   }
 
   getAdjustmentFactor(recoveryScore) {
@@ -50,18 +82,19 @@ export class AutoRegulationEngine {
   }
 
   adjustLoad(currentLoad, intensityFactor, lastPerformance) {
-    if (!lastPerformance) return currentLoad;
-    
     const baseAdjustment = currentLoad * intensityFactor;
+    if (!lastPerformance || !lastPerformance.sets || lastPerformance.sets.length === 0) {
+      return Math.round(baseAdjustment);
+    }
+
     const performanceModifier = this.calculatePerformanceModifier(lastPerformance);
-    
     return Math.round(baseAdjustment * performanceModifier);
   }
 
   calculatePerformanceModifier(lastPerformance) {
-    const avgRIR = lastPerformance.sets.reduce((sum, set) => sum + set.rir, 0) / lastPerformance.sets.length;
     const targetRIR = lastPerformance.targetRIR || 3;
-    
+    const avgRIR = getAverageRir(lastPerformance.sets, targetRIR);
+
     if (avgRIR > targetRIR + 1) return 1.025; // Too easy, increase
     if (avgRIR < targetRIR - 1) return 0.975; // Too hard, decrease
     return 1.0; // Just right
@@ -69,14 +102,15 @@ export class AutoRegulationEngine {
 
   generateAdjustmentNote(factor) {
     if (factor.volume > 1) return "Recovery is excellent - pushing volume and intensity!";
-    if (factor.volume < 0.9) return "Recovery is low - reducing training stress for today.";
+    if (factor.volume < 0.8) return "Recovery is poor - cutting volume, load and effort significantly today.";
+    if (factor.volume < 1) return "Recovery is low - reducing training stress for today.";
     return "Recovery is moderate - maintaining planned training.";
   }
 
   // RIR-based progression system
   progressExercise(exercise, completedSets) {
-    const avgRIR = completedSets.reduce((sum, set) => sum + set.rir, 0) / completedSets.length;
     const targetRIR = exercise.targetRIR || 3;
+    const avgRIR = getAverageRir(completedSets, targetRIR);
     const difference = avgRIR - targetRIR;
 
     const progression = {
@@ -114,57 +148,11 @@ export class AutoRegulationEngine {
   }
 
   // Periodization system
-  generateMesocycle(userProfile, duration = 4) {
-    const landmarks = this.getVolumeLandmarks(userProfile.trainingAge);
-    const split = this.generateSplit(userProfile.daysPerWeek);
-    
-    const mesocycle = {
-      weeks: {},
-      deloadWeek: duration,
-      progressionModel: userProfile.progressionModel || 'double'
-    };
-
-    for (let week = 1; week <= duration; week++) {
-      mesocycle.weeks[week] = this.generateWeek(split, landmarks, week, duration);
-    }
-
-    return mesocycle;
-  }
-
-  getVolumeLandmarks(trainingAge) {
-    const landmarks = {
-      novice: { mev: 6, mav: 10, mrv: 12 },
-      beginner: { mev: 8, mav: 12, mrv: 15 },
-      intermediate: { mev: 10, mav: 16, mrv: 20 },
-      advanced: { mev: 12, mav: 18, mrv: 22 }
-    };
-    return landmarks[trainingAge] || landmarks.beginner;
-  }
-
-  generateSplit(daysPerWeek) {
-    const splits = {
-      3: { type: 'fullbody', days: ['Full Body A', 'Full Body B', 'Full Body C'] },
-      4: { type: 'upper-lower', days: ['Upper A', 'Lower A', 'Upper B', 'Lower B'] },
-      5: { type: 'ppl', days: ['Push', 'Pull', 'Legs', 'Push', 'Pull'] },
-      6: { type: 'ppl', days: ['Push', 'Pull', 'Legs', 'Push', 'Pull', 'Legs'] }
-    };
-    return splits[daysPerWeek] || splits[4];
-  }
-
-  generateWeek(split, landmarks, weekNumber, totalWeeks) {
-    const isDeload = weekNumber === totalWeeks;
-    const targetRIR = this.calculateWeeklyRIR(weekNumber, totalWeeks);
-    
-    return split.days.map((dayName, index) => ({
-      name: dayName,
-      exercises: this.generateDayExercises(dayName, landmarks, isDeload, targetRIR),
-      completed: false
-    }));
-  }
-
   calculateWeeklyRIR(week, totalWeeks) {
-    if (week === totalWeeks) return 4; // Deload week
-    const progress = (week - 1) / (totalWeeks - 1);
-    return Math.max(0, 3 - Math.floor(progress * 3)); // 3 -> 2 -> 1 -> 0
+    if (week >= totalWeeks) return DELOAD_RIR;
+    const trainingWeeks = totalWeeks - 1;
+    if (trainingWeeks <= 1) return 3;
+    const progress = (week - 1) / (trainingWeeks - 1);
+    return Math.max(0, 3 - Math.round(progress * 3)); // 3 -> 2 -> 1 -> 0
   }
 }
@@ -0,0 +1,54 @@
+/**
+ * @file bodyweight-loading.js
+ * Bodyweight exercises log their external load as weight added to the body
+ * (belt, vest) or weight taken off it (band, assisted machine). Each set keeps
+ * the lifter's bodyweight at the time, so volume and e1RM use the load moved.
+ */
+
+const BODYWEIGHT_EQUIPMENT = ['bodyweight', 'pullup_bar', 'dip_station'];
+// Template exercises are free text and often missing from the database
+const BODYWEIGHT_NAME_PATTERN = /push[- ]?ups?|pull[- ]?ups?|chin[- ]?ups?|\bdips?\b/i;
+
+export const LOADING_MODES = {
+  assisted: { label: 'Assisted', columnLabel: 'ASSIST' },
+  bodyweight: { label: 'Bodyweight', columnLabel: 'BW' },
+  weighted: { label: 'Weighted', columnLabel: 'ADDED' },
+};
+
+export function isBodyweightExercise(exercise = {}) {
+  if (BODYWEIGHT_EQUIPMENT.includes(exercise.equipment?.[0])) return true;
+  return BODYWEIGHT_NAME_PATTERN.test(exercise.name || '');
+}
+
+export function getBodyweight(userData, units = 'lbs') {
+  const value = parseFloat(userData?.bodyweight) || 0;
+  if (!value) return 0;
+  if ((userData.bodyweightUnits || 'lbs') === units) return value;
+  return Math.round((units === 'kg' ? value * 0.453592 : value / 0.453592) * 10) / 10;
+}
+
+// Assistance is saved as a positive weight with an `assisted` flag; progression works on the signed value
+export function getSignedExternalLoad(set = {}) {
+  const weight = parseFloat(set.weight) || 0;
+  return set.assisted ? -weight : weight;
+}
+
+export function getLoadingMode(signedLoad) {
+  if (signedLoad < 0) return 'assisted';
+  if (signedLoad > 0) return 'weighted';
+  return 'bodyweight';
+}
+
+// Sets without a recorded bodyweight are ordinary external-load sets
+export function getEffectiveLoad(set = {}, externalWeight = set.weight) {
+  const load = parseFloat(externalWeight) || 0;
+  const bodyweight = parseFloat(set.bodyweight) || 0;
+  if (!bodyweight) return load;
+  return Math.max(0, bodyweight + (set.assisted ? -load : load));
+}
+
+export function describeBodyweightLoad(set = {}, formatWeight = weight => weight, unit = '') {
+  const load = parseFloat(set.weight) || 0;
+  if (!load) return 'BW';
+  return `BW${set.assisted ? '−' : '+'}${formatWeight(load)} ${unit}`.trim();
+}
@@ -0,0 +1,95 @@
+/**
+ * @file custom-exercises.js
+ * Exercises the user adds to the catalog, such as a plate-loaded row their gym has.
+ * They carry the same metadata as built-in entries and are kept in
+ * `userData.customExercises`; exercise-database.js merges them into the catalog that
+ * template building, workout generation, substitution and analytics read from.
+ */
+
+import { saveDataLocally } from "./local-storage.js";
+import { exerciseDatabase, getAllExercises, movementPatternInstructions } from "./exercise-database.js";
+import { MEASUREMENT_MODES } from "./measurement-modes.js";
+
+export const EXERCISE_TYPES = ['compound', 'isolation'];
+export const RECOVERY_COSTS = ['low', 'medium', 'high'];
+// Fractions of a set a synergist can be credited with, as in movementPatternSecondaryMuscles
+export const SECONDARY_MUSCLE_WEIGHTS = [0.25, 0.5];
+export const MUSCLE_GROUPS = Object.keys(exerciseDatabase);
+export const MOVEMENT_PATTERNS = Object.keys(movementPatternInstructions).sort();
+export const EQUIPMENT_OPTIONS = [...new Set(getAllExercises().flatMap(ex => ex.equipment))].sort();
+
+export function createEmptyCustomExercise() {
+  return {
+    name: '',
+    muscleGroup: '',
+    type: 'compound',
+    recoveryCost: 'medium',
+    movementPattern: '',
+    equipment: [],
+    secondaryMuscles: {},
+    measurementMode: 'weight_reps',
+    unilateral: false,
+  };
+}
+
+export function getCustomExercises(userData) {
+  return userData?.customExercises || [];
+}
+
+// Adds the exercise, or replaces the one with the same id; returns the saved list
+export function saveCustomExercise(userData, fields) {
+  const exercise = _validateCustomExercise(userData, fields);
+  const existing = getCustomExercises(userData);
+  const customExercises = existing.some(ex => ex.id === exercise.id)
+    ? existing.map(ex => (ex.id === exercise.id ? exercise : ex))
+    : [...existing, exercise];
+
+  const result = saveDataLocally({ customExercises });
+  if (!result.success) throw new Error("Could not save the exercise. Please try again.");
+  return customExercises;
+}
+
+// Logged workouts and templates keep the name, so their history stays readable after a delete
+export function deleteCustomExercise(userData, exerciseId) {
+  const customExercises = getCustomExercises(userData).filter(ex => ex.id !== exerciseId);
+  const result = saveDataLocally({ customExercises });
+  if (!result.success) throw new Error("Could not delete the exercise. Please try again.");
+  return customExercises;
+}
+
+function _validateCustomExercise(userData, fields = {}) {
+  const name = (fields.name || '').trim();
+  if (!name) throw new Error("Please enter an exercise name.");
+  // Names are matched verbatim across templates and history, so they are rejected rather than escaped
+  if (/[<>&]/.test(name)) throw new Error("Exercise names can't contain <, > or &.");
+  const id = fields.id || `custom_${Date.now()}`;
+  const taken = getAllExercises(getCustomExercises(userData))
+    .some(ex => ex.id !== id && ex.name.toLowerCase() === name.toLowerCase());
+  if (taken) throw new Error(`An exercise called "${name}" already exists.`);
+  if (!MUSCLE_GROUPS.includes(fields.muscleGroup)) throw new Error("Please choose the primary muscle group.");
+  if (!MOVEMENT_PATTERNS.includes(fields.movementPattern)) throw new Error("Please choose a movement pattern.");
+
+  const equipment = (fields.equipment || []).filter(item => EQUIPMENT_OPTIONS.includes(item));
+  if (equipment.length === 0) throw new Error("Please choose the equipment it needs.");
+
+  const secondaryMuscles = Object.fromEntries(
+    Object.entries(fields.secondaryMuscles || {})
+      .filter(([muscle, weight]) => muscle !== fields.muscleGroup && MUSCLE_GROUPS.includes(muscle) && SECONDARY_MUSCLE_WEIGHTS.includes(weight))
+  );
+
+  return {
+    id,
+    name,
+    muscleGroup: fields.muscleGroup,
+    type: EXERCISE_TYPES.includes(fields.type) ? fields.type : 'compound',
+    recoveryCost: RECOVERY_COSTS.includes(fields.recoveryCost) ? fields.recoveryCost : 'medium',
+    equipment,
+    movementPattern: fields.movementPattern,
+    secondaryMuscles,
+    ...(fields.measurementMode && fields.measurementMode !== 'weight_reps' && MEASUREMENT_MODES[fields.measurementMode]
+      ? { measurementMode: fields.measurementMode }
+      : {}),
+    ...(fields.unilateral ? { unilateral: true } : {}),
+    custom: true,
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * @file effort-scale.js
+ * Set effort is always stored as reps in reserve (`rir`), the scale every engine
+ * reasons in. Users may enter it as RIR or RPE; RPE converts as RIR = 10 - RPE.
+ * A set nobody rated keeps `rir: null` rather than pretending it was taken to failure.
+ */
+
+export const EFFORT_SCALES = {
+  rir: { label: 'RIR', options: [0, 1, 2, 3, 4, 5] },
+  rpe: { label: 'RPE', options: [10, 9.5, 9, 8.5, 8, 7, 6] },
+};
+
+export function getEffortScale(userData) {
+  return EFFORT_SCALES[userData?.effortScale] ? userData.effortScale : 'rir';
+}
+
+export function hasEffortRating(set = {}) {
+  return set.rir !== undefined && set.rir !== null && set.rir !== '' && !Number.isNaN(Number(set.rir));
+}
+
+export function toRir(value, scale = 'rir') {
+  const effort = parseFloat(value);
+  if (Number.isNaN(effort)) return null;
+  return scale === 'rpe' ? Math.max(0, 10 - effort) : effort;
+}
+
+export function fromRir(rir, scale = 'rir') {
+  if (rir === undefined || rir === null || rir === '') return null;
+  return scale === 'rpe' ? 10 - Number(rir) : Number(rir);
+}
+
+export function formatEffort(rir, scale = 'rir') {
+  const value = fromRir(rir, scale);
+  if (value === null) return '';
+  if (scale === 'rpe') return `RPE ${value}`;
+  return `${value}${value >= 5 ? '+' : ''} RIR`;
+}
+
+// Average of the rated sets; unrated sets are assumed to have hit the target
+export function getAverageRir(sets = [], fallback = 0) {
+  const rated = sets.filter(hasEffortRating);
+  if (rated.length === 0) return fallback;
+  return rated.reduce((sum, set) => sum + Number(set.rir), 0) / rated.length;
+}
@@ -0,0 +1,150 @@
+/**
+ * @file equipment-inventory.js
+ * Describes the loading equipment a user actually owns (bars, plate pairs,
+ * dumbbell range, machine stack steps) and turns prescribed loads into
+ * weights that can be built from it.
+ */
+
+export const DEFAULT_INVENTORY = {
+  lbs: {
+    units: 'lbs',
+    barWeight: 45,
+    plates: [
+      { weight: 45, pairs: 4 },
+      { weight: 35, pairs: 1 },
+      { weight: 25, pairs: 2 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+    ],
+    dumbbells: { min: 5, max: 100, step: 5 },
+    machineIncrement: 10,
+  },
+  kg: {
+    units: 'kg',
+    barWeight: 20,
+    plates: [
+      { weight: 25, pairs: 4 },
+      { weight: 20, pairs: 1 },
+      { weight: 15, pairs: 1 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+      { weight: 1.25, pairs: 2 },
+    ],
+    dumbbells: { min: 2, max: 50, step: 2 },
+    machineIncrement: 5,
+  },
+};
+
+// Falls back to the defaults when nothing is saved; an inventory saved in the other unit
+// system is converted, since the user still owns the same bar, plates and dumbbells
+export function getInventory(userData, units = 'lbs') {
+  const saved = userData?.equipmentInventory;
+  const defaults = DEFAULT_INVENTORY[units] || DEFAULT_INVENTORY.lbs;
+  if (!saved) {
+    return JSON.parse(JSON.stringify(defaults));
+  }
+  const inventory = saved.units && saved.units !== defaults.units ? convertInventory(saved, defaults.units) : saved;
+  return { ...JSON.parse(JSON.stringify(defaults)), ...inventory };
+}
+
+export function convertInventory(inventory, units) {
+  const factor = units === 'kg' ? 0.453592 : 1 / 0.453592;
+  const convert = value => Math.round(value * factor * 100) / 100;
+  const { barWeight, plates, dumbbells, machineIncrement } = inventory;
+  return {
+    ...inventory,
+    units,
+    ...(barWeight !== undefined ? { barWeight: convert(barWeight) } : {}),
+    ...(plates ? { plates: plates.map(plate => ({ ...plate, weight: convert(plate.weight) })) } : {}),
+    ...(dumbbells ? { dumbbells: { min: convert(dumbbells.min), max: convert(dumbbells.max), step: convert(dumbbells.step) } } : {}),
+    ...(machineIncrement !== undefined ? { machineIncrement: convert(machineIncrement) } : {}),
+  };
+}
+
+export function getLoadType(equipment = []) {
+  const primary = equipment[0];
+  if (['barbell', 'safety_bar'].includes(primary)) return 'barbell';
+  if (['dumbbell', 'kettlebell'].includes(primary)) return 'dumbbell';
+  if (['machine', 'cable', 't_bar_row_machine', 'smith_machine'].includes(primary)) return 'machine';
+  if (primary === 'plate') return 'plate';
+  return null;
+}
+
+// Every per-side total the plate pairs can make, mapped to the fewest plates that make it
+function getPerSideCombinations(plates = []) {
+  let combinations = new Map([[0, []]]);
+  [...plates].sort((a, b) => b.weight - a.weight).forEach(({ weight, pairs }) => {
+    const next = new Map(combinations);
+    combinations.forEach((combo, total) => {
+      for (let count = 1; count <= pairs; count++) {
+        const sum = Math.round((total + weight * count) * 100) / 100;
+        const candidate = [...combo, ...Array(count).fill(weight)];
+        if (!next.has(sum) || next.get(sum).length > candidate.length) {
+          next.set(sum, candidate);
+        }
+      }
+    });
+    combinations = next;
+  });
+  return combinations;
+}
+
+export function getAchievableLoads(loadType, inventory) {
+  switch (loadType) {
+    case 'barbell': {
+      const bar = inventory.barWeight || 0;
+      return [...getPerSideCombinations(inventory.plates).keys()]
+        .sort((a, b) => a - b)
+        .map(side => bar + side * 2);
+    }
+    case 'dumbbell': {
+      const { min, max, step } = inventory.dumbbells;
+      const loads = [];
+      for (let load = min; load <= max + 1e-9; load += step) {
+        loads.push(Math.round(load * 100) / 100);
+      }
+      return loads;
+    }
+    case 'plate':
+      return [...new Set(inventory.plates.map(plate => plate.weight))].sort((a, b) => a - b);
+    default:
+      return [];
+  }
+}
+
+// Rounds to a multiple of the step, never below one step
+export function roundToIncrement(load, step, direction = 'nearest') {
+  if (!load || !(step > 0)) return load;
+  const steps = Math.round((load / step) * 1000) / 1000;
+  const rounder = direction === 'up' ? Math.ceil : direction === 'down' ? Math.floor : Math.round;
+  return Math.max(step, Math.round(rounder(steps) * step * 100) / 100);
+}
+
+// direction: 'nearest', 'up' (never below the target) or 'down' (never above it)
+export function roundToAchievableLoad(load, loadType, inventory, direction = 'nearest') {
+  // Stacks and cable columns have no fixed top, so they follow the increment instead of a load list
+  if (loadType === 'machine') return roundToIncrement(load, inventory.machineIncrement, direction);
+  const loads = getAchievableLoads(loadType, inventory);
+  if (!load || loads.length === 0) return load;
+
+  if (direction === 'up') {
+    return loads.find(option => option >= load) ?? loads[loads.length - 1];
+  }
+  if (direction === 'down') {
+    return [...loads].reverse().find(option => option <= load) ?? loads[0];
+  }
+  return loads.reduce((best, option) => (Math.abs(option - load) < Math.abs(best - load) ? option : best));
+}
+
+// Plates for one side of the bar, built for the nearest load the inventory can make
+export function getPlateBreakdown(load, inventory) {
+  const bar = inventory.barWeight || 0;
+  if (!load || load < bar) return null;
+
+  const loadable = roundToAchievableLoad(load, 'barbell', inventory);
+  const perSideTotal = Math.round(((loadable - bar) / 2) * 100) / 100;
+  const perSide = getPerSideCombinations(inventory.plates).get(perSideTotal) || [];
+  return { bar, perSide, load: loadable, isExact: loadable === load };
+}
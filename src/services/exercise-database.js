@@ -3,6 +3,15 @@
  * This file contains the master list of all available exercises.
  * Each exercise includes metadata required for the Exercise Priority Score (EPS) algorithm
  * and the Exercise Substitution Engine.
+ * The muscle group key an exercise lives under is its primary muscle (weight 1.0).
+ * `secondaryMuscles` maps other muscle groups to the fraction of a set they receive;
+ * entries without one inherit the defaults for their movement pattern below.
+ * `measurementMode` (see measurement-modes.js) marks exercises not logged as weight × reps,
+ * and `unilateral` marks one-side-at-a-time movements that are logged per side.
+ * `instructions` overrides any of the setup, execution and mistakes lists shared by the
+ * movement pattern, and `illustration` points to a bundled image under public/.
+ * Custom exercises the user defines (see custom-exercises.js) share this shape and are merged
+ * in by passing `userData.customExercises` to getExerciseCatalog or getAllExercises.
  */
 
 export const exerciseDatabase = {
@@ -14,6 +23,11 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['barbell', 'bench'],
       movementPattern: 'horizontal_press',
+      instructions: {
+        setup: ['Lie with eyes under the bar, grip just wider than the shoulders.', 'Pull the shoulder blades back and down, keep a slight arch and drive the feet into the floor.'],
+        execution: ['Unrack and lower the bar to the lower chest, forearms vertical.', 'Touch without bouncing, then press up and back over the shoulders.'],
+      },
+      illustration: 'illustrations/bench-press.svg',
     },
     {
       id: 'ex_chest_002',
@@ -142,6 +156,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['dumbbell', 'bench'],
       movementPattern: 'horizontal_press',
+      unilateral: true,
     },
     {
       id: 'ex_chest_018',
@@ -168,6 +183,12 @@ export const exerciseDatabase = {
       recoveryCost: 'high',
       equipment: ['barbell'],
       movementPattern: 'hinge',
+      instructions: {
+        setup: ['Stand with the bar over the mid-foot and grip just outside the legs.', 'Bend the knees until the shins touch the bar, then pull the chest up to flatten the back.'],
+        execution: ['Take the slack out of the bar, then push the floor away.', 'Keep the bar against the legs and finish standing tall with the hips through.'],
+        mistakes: ['Jerking the bar off the floor.', 'Letting the hips shoot up before the bar moves.', 'Rounding the lower back.'],
+      },
+      illustration: 'illustrations/deadlift.svg',
     },
     {
       id: 'ex_back_002',
@@ -264,6 +285,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['cable'],
       movementPattern: 'vertical_pull',
+      unilateral: true,
     },
     {
       id: 'ex_back_014',
@@ -272,6 +294,7 @@ export const exerciseDatabase = {
       recoveryCost: 'high',
       equipment: ['dumbbell'],
       movementPattern: 'horizontal_pull',
+      unilateral: true,
     },
     {
       id: 'ex_back_015',
@@ -280,6 +303,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['barbell'],
       movementPattern: 'shrug',
+      secondaryMuscles: { forearms: 0.25 },
     },
     {
       id: 'ex_back_016',
@@ -288,6 +312,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['dumbbell', 'bench'],
       movementPattern: 'pullover',
+      secondaryMuscles: { chest: 0.5, triceps: 0.25 },
     },
     {
       id: 'ex_back_017',
@@ -354,6 +379,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['dumbbell'],
       movementPattern: 'curl',
+      unilateral: true,
     },
     {
       id: 'ex_biceps_007',
@@ -452,6 +478,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['barbell', 'bench'],
       movementPattern: 'horizontal_press',
+      secondaryMuscles: { chest: 0.5, shoulders: 0.25 },
     },
     {
       id: 'ex_triceps_005',
@@ -460,6 +487,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['dip_station'],
       movementPattern: 'dip',
+      secondaryMuscles: { chest: 0.5, shoulders: 0.25 },
     },
     {
       id: 'ex_triceps_006',
@@ -484,6 +512,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['dumbbell', 'cable'],
       movementPattern: 'extension',
+      unilateral: true,
     },
     {
       id: 'ex_triceps_009',
@@ -492,6 +521,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['barbell', 'bench'],
       movementPattern: 'horizontal_press',
+      secondaryMuscles: { chest: 0.25 },
     },
     {
       id: 'ex_triceps_010',
@@ -500,6 +530,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['bodyweight'],
       movementPattern: 'horizontal_press',
+      secondaryMuscles: { chest: 0.5, shoulders: 0.25 },
     },
     {
       id: 'ex_triceps_011',
@@ -524,6 +555,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['bench', 'bodyweight'],
       movementPattern: 'dip',
+      secondaryMuscles: { chest: 0.25, shoulders: 0.25 },
     },
     {
       id: 'ex_triceps_014',
@@ -558,6 +590,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['dumbbell', 'kettlebell'],
       movementPattern: 'carry',
+      measurementMode: 'distance',
     },
     {
       id: 'ex_forearms_004',
@@ -584,6 +617,10 @@ export const exerciseDatabase = {
       recoveryCost: 'high',
       equipment: ['barbell', 'rack'],
       movementPattern: 'squat',
+      instructions: {
+        setup: ['Set the bar across the upper back, not the neck, and grip it tightly.', 'Walk out in two or three steps to a shoulder-width stance.'],
+      },
+      illustration: 'illustrations/squat.svg',
     },
     {
       id: 'ex_quads_002',
@@ -632,6 +669,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['dumbbell', 'bodyweight'],
       movementPattern: 'lunge',
+      unilateral: true,
     },
     {
       id: 'ex_quads_008',
@@ -672,6 +710,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['machine'],
       movementPattern: 'squat',
+      unilateral: true,
     },
     {
       id: 'ex_quads_013',
@@ -680,6 +719,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['bodyweight'],
       movementPattern: 'squat',
+      unilateral: true,
     },
     {
       id: 'ex_quads_014',
@@ -688,6 +728,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['bodyweight', 'dumbbell', 'box'],
       movementPattern: 'lunge',
+      unilateral: true,
     }
   ],
   hamstrings: [
@@ -754,6 +795,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['dumbbell', 'kettlebell'],
       movementPattern: 'hinge',
+      unilateral: true,
     },
     {
       id: 'ex_hamstrings_009',
@@ -820,6 +862,7 @@ export const exerciseDatabase = {
       recoveryCost: 'high',
       equipment: ['dumbbell', 'bench'],
       movementPattern: 'lunge',
+      unilateral: true,
     },
     {
       id: 'ex_glutes_004',
@@ -844,6 +887,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['bodyweight', 'dumbbell'],
       movementPattern: 'lunge',
+      unilateral: true,
     },
     {
       id: 'ex_glutes_007',
@@ -868,6 +912,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['bodyweight', 'dumbbell'],
       movementPattern: 'bridge',
+      unilateral: true,
     },
     {
       id: 'ex_glutes_010',
@@ -884,6 +929,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['barbell', 'dumbbell', 'kettlebell'],
       movementPattern: 'squat',
+      secondaryMuscles: { quads: 0.5, hamstrings: 0.25 },
     },
     {
       id: 'ex_glutes_012',
@@ -892,6 +938,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['bodyweight', 'dumbbell', 'box'],
       movementPattern: 'lunge',
+      unilateral: true,
     },
     {
       id: 'ex_glutes_013',
@@ -942,6 +989,7 @@ export const exerciseDatabase = {
       recoveryCost: 'low',
       equipment: ['bodyweight', 'dumbbell'],
       movementPattern: 'calf_raise',
+      unilateral: true,
     }
   ],
   shoulders: [
@@ -952,6 +1000,10 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['barbell', 'rack'],
       movementPattern: 'vertical_press',
+      instructions: {
+        setup: ['Unrack the bar from the front of the shoulders with a grip just outside them.', 'Squeeze the glutes and brace the abs so the ribs stay down.'],
+      },
+      illustration: 'illustrations/overhead-press.svg',
     },
     {
       id: 'ex_shoulders_002',
@@ -1000,6 +1052,7 @@ export const exerciseDatabase = {
       recoveryCost: 'medium',
       equipment: ['barbell', 'dumbbell', 'cable'],
       movementPattern: 'vertical_pull',
+      secondaryMuscles: { back: 0.25, biceps: 0.25 },
     },
     {
       id: 'ex_shoulders_008',
@@ -1067,3 +1120,236 @@ export const exerciseDatabase = {
     }
   ]
 };
+
+// Fractional set credit that each movement pattern gives to synergist muscle groups.
+export const movementPatternSecondaryMuscles = {
+  horizontal_press: { triceps: 0.5, shoulders: 0.5 },
+  incline_press: { shoulders: 0.5, triceps: 0.5 },
+  decline_press: { triceps: 0.5, shoulders: 0.25 },
+  vertical_press: { triceps: 0.5 },
+  dip: { triceps: 0.5, shoulders: 0.25 },
+  fly: { shoulders: 0.25 },
+  horizontal_pull: { biceps: 0.5, shoulders: 0.25 },
+  vertical_pull: { biceps: 0.5 },
+  pullover: { triceps: 0.25 },
+  hinge: { hamstrings: 0.5, glutes: 0.5, back: 0.25 },
+  squat: { glutes: 0.5 },
+  lunge: { glutes: 0.5, quads: 0.5 },
+  bridge: { hamstrings: 0.25 },
+  curl: { forearms: 0.25 },
+};
+
+// How-to text shared by every exercise of a movement pattern; entries can override it with `instructions`.
+export const movementPatternInstructions = {
+  horizontal_press: {
+    setup: ['Lie with eyes under the bar or handles and feet flat on the floor.', 'Pull the shoulder blades back and down and keep them pinned.'],
+    execution: ['Lower under control to the lower chest with elbows about 45° from the torso.', 'Press up and slightly back until the arms are straight.'],
+    mistakes: ['Flaring the elbows out to 90°.', 'Bouncing the weight off the chest.', 'Lifting the hips off the bench.'],
+  },
+  incline_press: {
+    setup: ['Set the bench to 30-45° and plant the feet.', 'Retract the shoulder blades before unracking.'],
+    execution: ['Lower to the upper chest, just below the collarbones.', 'Press up over the shoulders without losing the arch.'],
+    mistakes: ['Setting the bench so steep it becomes a shoulder press.', 'Letting the shoulders roll forward at the top.'],
+  },
+  decline_press: {
+    setup: ['Hook the legs under the pads and lie back with the shoulder blades set.', 'Unrack with straight arms over the lower chest.'],
+    execution: ['Lower to the bottom of the chest under control.', 'Press straight up until the elbows lock.'],
+    mistakes: ['Dropping the weight quickly onto the chest.', 'Letting the head slide off the bench.'],
+  },
+  vertical_press: {
+    setup: ['Grip just outside the shoulders with wrists stacked over the elbows.', 'Brace the abs and squeeze the glutes so the ribs stay down.'],
+    execution: ['Press straight overhead, moving the head back then through as the weight passes.', 'Finish with the weight over the mid-foot and the arms locked.'],
+    mistakes: ['Leaning back into a standing incline press.', 'Pressing forward instead of straight up.'],
+  },
+  dip: {
+    setup: ['Support yourself on straight arms with the shoulders pulled down.', 'Cross or bend the legs so they stay clear of the floor.'],
+    execution: ['Lower until the upper arms are about parallel to the floor.', 'Press back up to straight arms without swinging.'],
+    mistakes: ['Shrugging the shoulders up to the ears at the bottom.', 'Going deeper than the shoulders tolerate.'],
+  },
+  fly: {
+    setup: ['Start with the arms extended over the chest and a soft bend in the elbows.', 'Keep the shoulder blades back throughout.'],
+    execution: ['Open the arms in a wide arc until you feel a stretch across the chest.', 'Bring them back together by squeezing the chest, not bending the elbows.'],
+    mistakes: ['Turning the fly into a press by bending the elbows.', 'Lowering past a comfortable shoulder stretch.'],
+  },
+  horizontal_pull: {
+    setup: ['Brace the torso in a fixed position, supported or hinged with a flat back.', 'Let the arms hang straight with the shoulder blades slightly apart.'],
+    execution: ['Pull the elbows back toward the hips, squeezing the shoulder blades together.', 'Lower until the arms are straight and the shoulder blades stretch forward.'],
+    mistakes: ['Jerking the torso to move the weight.', 'Shrugging the weight up instead of pulling it back.'],
+  },
+  vertical_pull: {
+    setup: ['Take a grip slightly wider than the shoulders.', 'Start from a full hang with the chest up.'],
+    execution: ['Drive the elbows down toward the ribs until the chin clears the bar or the bar reaches the upper chest.', 'Return under control to straight arms.'],
+    mistakes: ['Cutting the range short at the top or the bottom.', 'Kipping or leaning far back to finish the rep.'],
+  },
+  pullover: {
+    setup: ['Lie across or along a bench holding the weight over the chest.', 'Keep a slight, fixed bend in the elbows.'],
+    execution: ['Lower the weight behind the head in an arc until the lats stretch.', 'Pull it back over the chest with the lats.'],
+    mistakes: ['Bending and straightening the elbows during the rep.', 'Flaring the ribs to reach further back.'],
+  },
+  hinge: {
+    setup: ['Stand with the bar or weight over the mid-foot, feet about hip width.', 'Brace the abs and set a neutral back before the weight moves.'],
+    execution: ['Push the hips back while keeping the weight close to the legs.', 'Stand up by driving the hips forward and squeezing the glutes.'],
+    mistakes: ['Rounding the lower back.', 'Letting the weight drift away from the body.', 'Leaning back at lockout.'],
+  },
+  hip_extension: {
+    setup: ['Set the pad just below the hip crease so you can bend freely.', 'Keep a neutral spine with the hands crossed or holding a weight.'],
+    execution: ['Hinge down under control until the hamstrings stretch.', 'Raise the torso by squeezing the glutes until the body is in line.'],
+    mistakes: ['Hyperextending the lower back at the top.', 'Swinging up with momentum.'],
+  },
+  squat: {
+    setup: ['Stand with the feet about shoulder width and toes slightly out.', 'Brace the abs with a big breath before each rep.'],
+    execution: ['Sit down between the heels, knees tracking over the toes.', 'Reach at least parallel, then drive up through the whole foot.'],
+    mistakes: ['Letting the knees cave inward.', 'Lifting the heels off the floor.', 'Losing the brace at the bottom.'],
+  },
+  lunge: {
+    setup: ['Take a stance long enough that the front shin stays fairly vertical.', 'Keep the torso tall and the weight over the front foot.'],
+    execution: ['Lower the back knee toward the floor under control.', 'Drive through the front heel to return.'],
+    mistakes: ['Letting the front knee collapse inward.', 'Pushing off mostly with the back leg.'],
+  },
+  bridge: {
+    setup: ['Rest the upper back on the bench or floor with the feet flat and knees bent.', 'Tuck the chin and keep the ribs down.'],
+    execution: ['Drive the hips up until the thighs and torso are in line.', 'Pause and squeeze the glutes, then lower under control.'],
+    mistakes: ['Arching the lower back instead of extending the hips.', 'Placing the feet so far out that the hamstrings take over.'],
+  },
+  knee_extension: {
+    setup: ['Line the knee up with the machine pivot.', 'Set the pad just above the ankles.'],
+    execution: ['Straighten the legs fully and squeeze the quads.', 'Lower under control without letting the stack touch.'],
+    mistakes: ['Kicking the weight up with momentum.', 'Lifting the hips off the seat.'],
+  },
+  knee_flexion: {
+    setup: ['Line the knee up with the machine pivot.', 'Set the pad just above the heels.'],
+    execution: ['Curl the heels toward the glutes as far as possible.', 'Return slowly to nearly straight legs.'],
+    mistakes: ['Lifting the hips to finish the rep.', 'Cutting the lowering half short.'],
+  },
+  calf_raise: {
+    setup: ['Stand with the balls of the feet on the edge of the platform.', 'Keep the knees locked or fixed in place for the whole set.'],
+    execution: ['Lower the heels as far as they go and pause in the stretch.', 'Rise onto the toes as high as possible.'],
+    mistakes: ['Bouncing out of the bottom.', 'Bending the knees to help the weight up.'],
+  },
+  abduction: {
+    setup: ['Sit or stand tall with the hips square.', 'Keep the pelvis still throughout.'],
+    execution: ['Push the knees or leg out to the side against the resistance.', 'Return slowly without letting the weight pull you in.'],
+    mistakes: ['Rocking the torso to move the weight.', 'Rushing the return.'],
+  },
+  adduction: {
+    setup: ['Sit tall with the pads on the inside of the knees.', 'Start from a stretch you can control.'],
+    execution: ['Squeeze the legs together until the pads meet.', 'Open back up slowly.'],
+    mistakes: ['Starting wider than you can control.', 'Letting the weight snap the legs open.'],
+  },
+  curl: {
+    setup: ['Keep the upper arms close to the sides or fixed against the pad.', 'Stand or sit tall without leaning back.'],
+    execution: ['Curl the weight up by bending only at the elbows.', 'Lower it to straight arms under control.'],
+    mistakes: ['Swinging the torso to start the rep.', 'Letting the elbows drift forward.', 'Stopping short of straight arms.'],
+  },
+  extension: {
+    setup: ['Fix the upper arms in place.', 'Start with the elbows fully bent and the triceps stretched.'],
+    execution: ['Straighten the elbows until the arms lock out.', 'Return under control to the stretch.'],
+    mistakes: ['Letting the elbows flare or move.', 'Using the shoulders to push the weight.'],
+  },
+  lateral_raise: {
+    setup: ['Stand with a slight forward lean and the weights at your sides.', 'Keep a soft bend in the elbows.'],
+    execution: ['Raise the arms out to the side until they reach shoulder height.', 'Lower slowly to the start.'],
+    mistakes: ['Shrugging the weight up with the traps.', 'Swinging the body to get the weight moving.'],
+  },
+  front_raise: {
+    setup: ['Stand tall with the weight in front of the thighs.', 'Brace the abs to keep the torso still.'],
+    execution: ['Raise the arms in front to shoulder height.', 'Lower under control.'],
+    mistakes: ['Leaning back to lift the weight.', 'Raising far above shoulder height.'],
+  },
+  reverse_fly: {
+    setup: ['Hinge forward or face the pad so the arms hang under the shoulders.', 'Keep a soft, fixed bend in the elbows.'],
+    execution: ['Sweep the arms out and back until they are in line with the body.', 'Return slowly to the start.'],
+    mistakes: ['Squeezing the shoulder blades instead of moving the arms.', 'Using too much weight and jerking it.'],
+  },
+  shrug: {
+    setup: ['Stand tall holding the weight at arm\'s length.', 'Keep the arms straight and relaxed.'],
+    execution: ['Lift the shoulders straight up toward the ears.', 'Pause at the top, then lower fully.'],
+    mistakes: ['Rolling the shoulders.', 'Bending the elbows to pull the weight.'],
+  },
+  carry: {
+    setup: ['Pick the weights up with a flat back, as in a deadlift.', 'Stand tall with the shoulders back.'],
+    execution: ['Walk with short, controlled steps.', 'Keep the torso upright and the grip tight.'],
+    mistakes: ['Leaning to one side.', 'Letting the shoulders round forward.'],
+  },
+  grip: {
+    setup: ['Take hold of the implement with the whole hand.', 'Keep the wrist neutral.'],
+    execution: ['Squeeze as hard as possible for the set time or reps.', 'Release under control.'],
+    mistakes: ['Letting the wrist bend back.', 'Ending the set before the grip actually fails.'],
+  },
+  wrist_flexion: {
+    setup: ['Rest the forearms on the thighs or a bench, palms up.', 'Let the hands hang past the edge.'],
+    execution: ['Curl the weight up by bending only the wrists.', 'Lower it until the wrists stretch.'],
+    mistakes: ['Lifting the forearms off the support.', 'Using a weight too heavy to move through the full range.'],
+  },
+  wrist_extension: {
+    setup: ['Rest the forearms on the thighs or a bench, palms down.', 'Let the hands hang past the edge.'],
+    execution: ['Lift the back of the hands up by extending the wrists.', 'Lower slowly to the stretch.'],
+    mistakes: ['Moving the elbows to help the weight.', 'Cutting the range short.'],
+  },
+};
+
+/**
+ * Returns the fractional set contribution of an exercise to every muscle group it trains.
+ * @param {object} exercise An exercise entry; `muscleGroup` is used as the primary muscle.
+ * @param {string} [primaryGroup] Overrides the primary muscle group.
+ * @returns {Object<string, number>} Map of muscle group to set weight, primary = 1.
+ */
+export function getMuscleContributions(exercise, primaryGroup = exercise?.muscleGroup) {
+  const secondary = exercise?.secondaryMuscles || movementPatternSecondaryMuscles[exercise?.movementPattern] || {};
+  const contributions = {};
+  for (const [muscle, weight] of Object.entries(secondary)) {
+    if (muscle !== primaryGroup) contributions[muscle] = weight;
+  }
+  if (primaryGroup) contributions[primaryGroup] = 1;
+  return contributions;
+}
+
+/**
+ * Collects what the exercise info panel shows for an exercise.
+ * Logged exercises only carry a name, so the database entry is looked up to fill in the rest.
+ * @param {object} exercise An exercise entry or a logged exercise.
+ * @param {Array<object>} [customExercises] The user's custom exercises.
+ * @returns {object} Instructions, muscle contributions, movement pattern, equipment and illustration.
+ */
+export function getExerciseDetails(exercise, customExercises = []) {
+  const entry = getAllExercises(customExercises).find(ex => ex.name === exercise?.name) || {};
+  const details = { ...entry, ...exercise };
+  const instructions = { ...movementPatternInstructions[details.movementPattern], ...entry.instructions };
+  return {
+    name: details.name,
+    setup: instructions.setup || [],
+    execution: instructions.execution || [],
+    mistakes: instructions.mistakes || [],
+    muscles: getMuscleContributions(details),
+    primaryMuscle: details.muscleGroup,
+    movementPattern: details.movementPattern || null,
+    equipment: details.equipment || [],
+    illustration: entry.illustration || null,
+  };
+}
+
+/**
+ * Returns the database grouped by primary muscle with the user's custom exercises appended.
+ * @param {Array<object>} [customExercises] Custom exercises, each carrying its `muscleGroup`.
+ * @returns {Object<string, Array<object>>}
+ */
+export function getExerciseCatalog(customExercises = []) {
+  const catalog = Object.fromEntries(
+    Object.entries(exerciseDatabase).map(([muscleGroup, exercises]) => [muscleGroup, [...exercises]])
+  );
+  (customExercises || []).forEach(({ muscleGroup, ...exercise }) => {
+    catalog[muscleGroup]?.push(exercise);
+  });
+  return catalog;
+}
+
+/**
+ * Flattens the catalog into a single list, tagging each entry with its primary muscle group.
+ * @param {Array<object>} [customExercises] Custom exercises to include.
+ * @returns {Array<object>}
+ */
+export function getAllExercises(customExercises = []) {
+  return Object.entries(getExerciseCatalog(customExercises)).flatMap(([muscleGroup, exercises]) =>
+    exercises.map(ex => ({ ...ex, muscleGroup }))
+  );
+}
@@ -5,6 +5,8 @@
  */
 
 const LOCAL_STORAGE_KEY = 'userWorkoutData';
+// The in-progress workout is written on every set change, so it lives outside the main data blob
+const SESSION_STORAGE_KEY = 'activeWorkoutSession';
 
 /**
  * Creates the default user data structure.
@@ -82,9 +84,22 @@ export function saveDataLocally(data) {
   }
 }
 
+// saveDataLocally appends workouts; edits to past sessions replace the whole list instead
+export function replaceWorkoutsLocally(workouts, data = {}) {
+  try {
+    const existing = getDataLocally();
+    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify({ ...existing, ...data, workouts }));
+    return { success: true };
+  } catch (error) {
+    console.error('Error replacing workout history:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 export function deleteDataLocally() {
   try {
     localStorage.removeItem(LOCAL_STORAGE_KEY);
+    localStorage.removeItem(SESSION_STORAGE_KEY);
     return { success: true };
   } catch (error) {
     console.error('Error deleting local data:', error);
@@ -92,6 +107,40 @@ export function deleteDataLocally() {
   }
 }
 
+/**
+ * Checkpoints the unfinished workout so a reload or a killed tab can resume it.
+ */
+export function saveSessionLocally(session) {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving workout session:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export function getSessionLocally() {
+  try {
+    const data = localStorage.getItem(SESSION_STORAGE_KEY);
+    const session = data ? JSON.parse(data) : null;
+    return session?.workout ? session : null;
+  } catch (error) {
+    console.error('Error reading workout session:', error);
+    return null;
+  }
+}
+
+export function deleteSessionLocally() {
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting workout session:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 export function getCredential() {
   return { credential: 'local-mode-user' };
 }
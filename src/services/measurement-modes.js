@@ -0,0 +1,76 @@
+/**
+ * @file measurement-modes.js
+ * How each exercise is measured. Most lifts log weight × reps, but holds, carries
+ * and bodyweight core work log a duration, a distance or reps alone.
+ * Durations are stored in seconds and distances in meters whatever the weight units.
+ */
+
+import { isUnilateralSet, describeSideReps } from "./unilateral-sets.js";
+
+export const MEASUREMENT_FIELDS = {
+  weight: { label: 'WEIGHT', maxLength: 3, inputmode: 'decimal' },
+  reps: { label: 'REPS', maxLength: 3, inputmode: 'numeric' },
+  durationSeconds: { label: 'SECONDS', maxLength: 4, inputmode: 'numeric' },
+  distanceMeters: { label: 'METERS', maxLength: 5, inputmode: 'decimal' },
+};
+
+// `metric` is what the history charts track for modes that have no e1RM
+export const MEASUREMENT_MODES = {
+  weight_reps: { label: 'Weight × Reps', fields: ['weight', 'reps'], required: ['weight', 'reps'] },
+  reps: {
+    label: 'Reps Only', fields: ['reps'], required: ['reps'],
+    metric: { field: 'reps', best: 'Best Set', total: 'Total Reps', unit: 'reps' },
+  },
+  duration: {
+    label: 'Duration', fields: ['durationSeconds'], required: ['durationSeconds'],
+    metric: { field: 'durationSeconds', best: 'Longest Hold', total: 'Total Time', unit: 's' },
+  },
+  weighted_duration: {
+    label: 'Weighted Duration', fields: ['weight', 'durationSeconds'], required: ['weight', 'durationSeconds'],
+    metric: { field: 'durationSeconds', best: 'Longest Hold', total: 'Total Time', unit: 's' },
+  },
+  distance: {
+    label: 'Distance', fields: ['weight', 'distanceMeters'], required: ['distanceMeters'],
+    metric: { field: 'distanceMeters', best: 'Longest Distance', total: 'Total Distance', unit: 'm' },
+  },
+};
+
+// Templates written before modes existed only hint at holds through their targets, e.g. "30-60s"
+export function getMeasurementMode(exercise = {}) {
+  if (MEASUREMENT_MODES[exercise.measurementMode]) return exercise.measurementMode;
+  const target = String(exercise.targetReps || '').toLowerCase();
+  if (/\d\s*(s|sec|secs|seconds|min|mins|minutes)\b/.test(target)) return 'duration';
+  return 'weight_reps';
+}
+
+export function isSetMeasured(set = {}, mode = 'weight_reps') {
+  return (MEASUREMENT_MODES[mode] || MEASUREMENT_MODES.weight_reps).required
+    .every(field => (parseFloat(set[field]) || 0) > 0);
+}
+
+export function getSetMetricValue(set = {}, mode = 'weight_reps') {
+  const metric = MEASUREMENT_MODES[mode]?.metric;
+  return metric ? parseFloat(set[metric.field]) || 0 : 0;
+}
+
+export function formatSeconds(totalSeconds) {
+  const seconds = Math.round(parseFloat(totalSeconds) || 0);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+// Weight × reps sets are described by set-types.js; this covers the other modes
+export function describeMeasuredSet(set = {}, mode, formatWeight = weight => weight, unit = '') {
+  const load = parseFloat(set.weight) > 0 ? ` @ ${formatWeight(set.weight)} ${unit}`.trimEnd() : '';
+  switch (mode) {
+    case 'reps':
+      return `${isUnilateralSet(set) ? describeSideReps(set) : set.reps} reps`;
+    case 'duration':
+    case 'weighted_duration':
+      return `${formatSeconds(set.durationSeconds)}${load}`;
+    case 'distance':
+      return `${parseFloat(set.distanceMeters) || 0} m${load}`;
+    default:
+      return '';
+  }
+}
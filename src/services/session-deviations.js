@@ -0,0 +1,83 @@
+/**
+ * @file session-deviations.js
+ * Sets and exercises added, removed, moved or swapped during a session are logged
+ * as deviations from the prescription. The workout keeps a snapshot of what was
+ * prescribed, each prescribed exercise keeps its `plannedSets`, and exercises the
+ * plan never included are flagged `added`, so planned and done can be compared later.
+ */
+
+export const DEVIATION_TYPES = {
+  set_added: { label: 'Set added' },
+  set_removed: { label: 'Set removed' },
+  exercise_added: { label: 'Exercise added' },
+  exercise_removed: { label: 'Exercise removed' },
+  exercise_moved: { label: 'Exercise moved' },
+  exercise_substituted: { label: 'Exercise swapped' },
+};
+
+// Safe to call again on a resumed session: only exercises without a plan yet are stamped
+export function markPrescription(workout) {
+  if (!workout?.exercises) return;
+  if (!workout.prescription) {
+    workout.prescription = workout.exercises.map(exercise => ({
+      name: exercise.name,
+      sets: (exercise.sets || []).length,
+      targetReps: exercise.targetReps,
+      targetLoad: exercise.targetLoad ?? null,
+    }));
+  }
+  workout.exercises.forEach(exercise => {
+    if (exercise.plannedSets === undefined && !exercise.added) {
+      exercise.plannedSets = (exercise.sets || []).length;
+    }
+  });
+  if (!Array.isArray(workout.deviations)) workout.deviations = [];
+}
+
+export function recordDeviation(workout, type, exerciseName, details = {}) {
+  workout.deviations = [
+    ...(workout.deviations || []),
+    { type, exercise: exerciseName, ...details, at: new Date().toISOString() },
+  ];
+}
+
+export function describeDeviation(deviation = {}) {
+  const label = DEVIATION_TYPES[deviation.type]?.label || 'Changed';
+  switch (deviation.type) {
+    case 'set_added':
+    case 'set_removed':
+      return `${label}: ${deviation.exercise} (${deviation.sets} ${deviation.sets === 1 ? 'set' : 'sets'})`;
+    case 'exercise_moved':
+      return `${label}: ${deviation.exercise} ${deviation.direction > 0 ? 'later' : 'earlier'}`;
+    case 'exercise_substituted':
+      return `${label}: ${deviation.exercise} → ${deviation.replacement}`;
+    default:
+      return `${label}: ${deviation.exercise}`;
+  }
+}
+
+// Planned sets the lifter skipped; exercises logged without a plan have none to miss
+export function getMissedPlannedSets(exercise = {}) {
+  if (exercise.plannedSets === undefined || exercise.plannedSets === null) return 0;
+  return Math.max(0, exercise.plannedSets - (exercise.completedSets || []).length);
+}
+
+// Only workouts saved with a prescription can be compared with their plan
+export function getPlanAdherence(workouts = []) {
+  const tracked = workouts.filter(workout => Array.isArray(workout.prescription));
+  const adherence = { workouts: tracked.length, plannedSets: 0, completedPlannedSets: 0, extraSets: 0, counts: {} };
+
+  tracked.forEach(workout => {
+    adherence.plannedSets += workout.prescription.reduce((sum, exercise) => sum + (exercise.sets || 0), 0);
+    (workout.exercises || []).forEach(exercise => {
+      const completed = (exercise.completedSets || []).length;
+      const fromPlan = exercise.added ? 0 : Math.min(completed, exercise.plannedSets ?? completed);
+      adherence.completedPlannedSets += fromPlan;
+      adherence.extraSets += completed - fromPlan;
+    });
+    (workout.deviations || []).forEach(deviation => {
+      adherence.counts[deviation.type] = (adherence.counts[deviation.type] || 0) + 1;
+    });
+  });
+  return adherence;
+}
@@ -0,0 +1,85 @@
+/**
+ * @file set-types.js
+ * Typed set model shared by the workout session and history.
+ * Every logged set keeps its first effort in `weight`/`reps`. Types that chain
+ * more efforts onto it (drops, myo mini-sets, rest-pauses, clusters) store them
+ * in `segments`; segments without their own weight reuse the set's weight.
+ * Bodyweight sets count the lifter's bodyweight in every effort (see bodyweight-loading.js),
+ * and unilateral sets count one effort per side (see unilateral-sets.js).
+ */
+
+import { getEffectiveLoad, describeBodyweightLoad } from "./bodyweight-loading.js";
+import { isUnilateralSet, describeSideReps } from "./unilateral-sets.js";
+
+export const SET_TYPES = {
+  straight: { label: 'Straight', short: '' },
+  drop: { label: 'Drop Set', short: 'D', segmentLabel: 'Drop', segmentHasWeight: true },
+  myo: { label: 'Myo-Reps', short: 'M', segmentLabel: 'Mini-set', segmentHasWeight: false },
+  'rest-pause': { label: 'Rest-Pause', short: 'RP', segmentLabel: 'Pause', segmentHasWeight: false },
+  amrap: { label: 'AMRAP', short: 'A' },
+  cluster: { label: 'Cluster', short: 'C', segmentLabel: 'Cluster', segmentHasWeight: false },
+};
+
+// Premade templates write open-ended targets like "AMRAP" or "Failure" as free text
+export function getDefaultSetType(targetReps) {
+  const text = String(targetReps || '').toLowerCase();
+  if (text.includes('amrap') || text.includes('failure')) return 'amrap';
+  return 'straight';
+}
+
+export function estimateOneRepMax(weight, reps) {
+  const w = parseFloat(weight) || 0;
+  const r = parseInt(reps, 10) || 0;
+  if (w <= 0 || r <= 0) return 0;
+  return r === 1 ? w : w * (1 + r / 30);
+}
+
+export function getSetEfforts(set = {}) {
+  const weight = getEffectiveLoad(set);
+  const unilateral = isUnilateralSet(set);
+  const main = unilateral
+    ? [set.leftReps, set.rightReps].map(reps => ({ weight, reps: parseInt(reps, 10) || 0 }))
+    : [{ weight, reps: parseInt(set.reps, 10) || 0 }];
+  // Segment reps of a unilateral set are done on each side
+  const segments = (set.segments || []).flatMap(segment => Array(unilateral ? 2 : 1).fill({
+    weight: SET_TYPES[set.type]?.segmentHasWeight ? getEffectiveLoad(set, segment.weight) : weight,
+    reps: parseInt(segment.reps, 10) || 0,
+  }));
+  return [...main, ...segments].filter(effort => effort.reps > 0);
+}
+
+export function calculateSetVolume(set) {
+  return getSetEfforts(set).reduce((sum, effort) => sum + effort.weight * effort.reps, 0);
+}
+
+export function getSetTotalReps(set) {
+  return getSetEfforts(set).reduce((sum, effort) => sum + effort.reps, 0);
+}
+
+// Myo-rep and rest-pause follow-ups are done pre-fatigued, so only the activation set predicts
+// strength. Drops and clusters are each a separate effort, so the best one counts.
+export function calculateSetE1RM(set = {}) {
+  switch (set.type) {
+    case 'drop':
+    case 'cluster':
+      return Math.max(0, ...getSetEfforts(set).map(effort => estimateOneRepMax(effort.weight, effort.reps)));
+    default:
+      return estimateOneRepMax(getEffectiveLoad(set), set.reps);
+  }
+}
+
+export function describeSet(set = {}, formatWeight = weight => weight, unit = '') {
+  const isBodyweight = set.bodyweight !== undefined;
+  const load = isBodyweight
+    ? describeBodyweightLoad(set, formatWeight, unit)
+    : `${formatWeight(set.weight)} ${unit}`.trim();
+  const main = `${isUnilateralSet(set) ? describeSideReps(set) : set.reps} reps @ ${load}`;
+  const config = SET_TYPES[set.type];
+  if (!config || !set.segments?.length) {
+    return config?.short ? `${main} (${config.label})` : main;
+  }
+  const segments = set.segments.map(segment => (config.segmentHasWeight
+    ? `${segment.reps} @ ${isBodyweight ? describeBodyweightLoad({ ...set, weight: segment.weight }, formatWeight) : formatWeight(segment.weight)}`
+    : `${segment.reps}`));
+  return `${main} (${config.label}: ${segments.join(' + ')})`;
+}
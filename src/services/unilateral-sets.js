@@ -0,0 +1,44 @@
+/**
+ * @file unilateral-sets.js
+ * Unilateral exercises log each set's reps per side in `leftReps` and `rightReps`.
+ * The set's `reps` holds the weaker side, so progression and e1RM only move
+ * when both sides can, while volume counts the work done by each side.
+ */
+
+// Templates describe unilateral work in their targets, e.g. "10-12 per leg"
+const PER_SIDE_PATTERN = /\b(per|each) (side|leg|arm)\b/i;
+
+// A side this far behind the other across an exercise's sets is flagged in history
+export const IMBALANCE_THRESHOLD = 0.15;
+
+export function isUnilateralExercise(exercise = {}) {
+  if (exercise.unilateral !== undefined) return Boolean(exercise.unilateral);
+  return PER_SIDE_PATTERN.test(String(exercise.targetReps || ''));
+}
+
+export function isUnilateralSet(set = {}) {
+  return set.leftReps !== undefined || set.rightReps !== undefined;
+}
+
+// The weaker logged side, or the only side logged so far
+export function getWeakerSideReps(leftReps, rightReps) {
+  const sides = [leftReps, rightReps].map(reps => parseInt(reps, 10)).filter(reps => reps > 0);
+  return sides.length > 0 ? Math.min(...sides) : 0;
+}
+
+export function getSideImbalance(completedSets = []) {
+  const totals = completedSets.filter(isUnilateralSet).reduce((sum, set) => ({
+    left: sum.left + (parseInt(set.leftReps, 10) || 0),
+    right: sum.right + (parseInt(set.rightReps, 10) || 0),
+  }), { left: 0, right: 0 });
+  const stronger = Math.max(totals.left, totals.right);
+  if (stronger === 0) return null;
+
+  const ratio = (stronger - Math.min(totals.left, totals.right)) / stronger;
+  if (ratio < IMBALANCE_THRESHOLD) return null;
+  return { ...totals, weakerSide: totals.left < totals.right ? 'left' : 'right', ratio };
+}
+
+export function describeSideReps(set = {}) {
+  return `L${parseInt(set.leftReps, 10) || 0} / R${parseInt(set.rightReps, 10) || 0}`;
+}
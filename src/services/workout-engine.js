@@ -10,7 +10,29 @@ SECTION 1: CLASS DEFINITION AND CONSTRUCTOR
  * It's responsible for all calculations related to user profiling, volume landmarks,
  * progression, intensity, and autoregulation.
  */
-import { exerciseDatabase } from "./exercise-database.js";
+import { getExerciseCatalog, getAllExercises, getMuscleContributions } from "./exercise-database.js";
+import { getInventory, getLoadType, roundToAchievableLoad, roundToIncrement, getPlateBreakdown } from "./equipment-inventory.js";
+import { calculateSetE1RM, getSetTotalReps } from "./set-types.js";
+import { MEASUREMENT_MODES, getMeasurementMode, getSetMetricValue } from "./measurement-modes.js";
+import { isBodyweightExercise, getSignedExternalLoad, getLoadingMode } from "./bodyweight-loading.js";
+import { getMissedPlannedSets } from "./session-deviations.js";
+import { getAverageRir, hasEffortRating } from "./effort-scale.js";
+import { AutoRegulationEngine, DELOAD_RIR } from "./autoregulation-engine.js";
+
+// Exercise groupings a template can use; grouped exercises alternate set by set and share one rest
+export const EXERCISE_GROUP_TYPES = {
+  superset: { label: 'Superset', defaultRestSeconds: 90 },
+  giant: { label: 'Giant Set', defaultRestSeconds: 120 },
+  circuit: { label: 'Circuit', defaultRestSeconds: 60 },
+};
+
+// Periodization strategies a program or generated mesocycle can follow
+export const PERIODIZATION_MODELS = {
+  'linear': 'Linear',
+  'undulating': 'Daily Undulating',
+  'block': 'Block',
+  'reverse-linear': 'Reverse Linear',
+};
 
 export class WorkoutEngine {
   constructor(userProfile) {
@@ -44,8 +66,49 @@ export class WorkoutEngine {
       "neck & traps": 0.1,
     };
     
-    // Use the imported exercise database
-    this.exerciseDatabase = exerciseDatabase;
+    this.periodizationModels = PERIODIZATION_MODELS;
+
+    // Signals that trigger an unplanned deload from logged training data
+    this.deloadThresholds = {
+      performanceWindow: 3,
+      decliningExercises: 2,
+      lowReadinessScore: 5,
+      lowReadinessStreak: 3,
+      rirUnderTargetStreak: 3,
+    };
+
+    // Exposures without an e1RM or rep gain before a lift counts as stalled
+    this.stallExposureWindow = 3;
+
+    // Post-exercise feedback asked once a muscle group's last set is logged
+    this.muscleFeedbackQuestions = {
+      'Joint Pain': ['None', 'Low Pain', 'Moderate Pain', 'A Lot of Pain'],
+      'Soreness Recovery': ['Never Got Sore', 'Healed a While Ago', 'Healed Just on Time', "I'm Still Sore!"],
+      'Pump': ['Low Pump', 'Moderate Pump', 'Amazing Pump'],
+      'Workload': ['Easy', 'Pretty Good', 'Pushed My Limits', 'Too Much'],
+    };
+
+    // Sets logged at or below this RIR count as hard sets toward weekly volume
+    this.hardSetMaxRir = 3;
+
+    // Smallest sensible load jumps per unit system, used by double progression
+    this.loadIncrements = {
+      lbs: { lowerCompound: 10, upperCompound: 5, isolation: 2.5, dumbbell: 5 },
+      kg: { lowerCompound: 5, upperCompound: 2.5, isolation: 1.25, dumbbell: 2 },
+    };
+    
+    // Default rest between working sets in seconds, by goal and exercise type
+    this.restDefaults = {
+      strength: { compound: 180, isolation: 120 },
+      hypertrophy: { compound: 120, isolation: 90 },
+      fatLoss: { compound: 90, isolation: 60 },
+    };
+    
+    // Built-in exercises plus the user's own, so generation and volume tracking see both
+    this.exerciseDatabase = getExerciseCatalog(userProfile?.customExercises);
+
+    // Readiness scoring and session adjustments live in the autoregulation service
+    this.autoRegulation = new AutoRegulationEngine();
   }
 
 /*
@@ -125,63 +188,198 @@ SECTION 4: PROGRESSION AND INTENSITY
     return baseRIR + fatigueAdjustment;
   }
 
-  suggestLoadProgression(previousLoad, lastSessionRIR, targetRIR) {
-    if (lastSessionRIR > targetRIR + 1) return previousLoad * 1.025;
-    if (lastSessionRIR < targetRIR - 1) return previousLoad * 0.975;
+  suggestLoadProgression(previousLoad, lastSessionRIR, targetRIR, exercise = {}) {
+    if (lastSessionRIR > targetRIR + 1) return this.roundToAchievableLoad(previousLoad * 1.025, exercise, 'up');
+    if (lastSessionRIR < targetRIR - 1) return this.roundToAchievableLoad(previousLoad * 0.975, exercise, 'down');
     return previousLoad;
   }
 
   calculateProgression(previousWorkoutExercise) {
-    const { completedSets = [], targetRir = 2, targetReps = 10 } = previousWorkoutExercise;
-    
+    const { name, completedSets = [], targetRir = 2, targetReps = 10 } = previousWorkoutExercise;
+    const repRange = this.parseRepRange(targetReps);
+    const units = this._getUnits();
+
     if (completedSets.length === 0) {
-      return { 
-        targetLoad: null, 
-        targetReps: targetReps, 
-        note: "No past data, starting fresh." 
+      return {
+        targetLoad: null,
+        targetReps: repRange ? repRange.min : targetReps,
+        repRange: repRange ? `${repRange.min}-${repRange.max}` : `${targetReps}`,
+        units,
+        note: "No past data, starting fresh."
       };
     }
-    
-    const totalRir = completedSets.reduce((sum, set) => sum + (set.rir || 0), 0);
-    const avgRir = totalRir / completedSets.length;
-    
-    const lastLoad = completedSets[0].weight;
-    let newTargetLoad = lastLoad;
-    let newTargetReps = targetReps;
-    let note = "Maintaining current plan.";
-    
+
+    if (MEASUREMENT_MODES[previousWorkoutExercise.measurementMode]?.metric) {
+      return this._calculateMeasuredProgression(previousWorkoutExercise, units);
+    }
+    if (completedSets.some(set => set.bodyweight !== undefined)
+      && isBodyweightExercise({ ...(this._getExerciseDetails(name) || {}), name })) {
+      return this._calculateBodyweightProgression(previousWorkoutExercise, repRange, units);
+    }
+
+    const lastLoad = Math.max(...completedSets.map(set => parseFloat(set.weight) || 0));
+    const workingSets = completedSets.filter(set => (parseFloat(set.weight) || 0) === lastLoad);
+    const avgRir = getAverageRir(workingSets, targetRir);
+    const lowestReps = Math.min(...workingSets.map(set => parseInt(set.reps, 10) || 0));
     const rirDifference = avgRir - targetRir;
-    
-    if (rirDifference > 1) {
-      newTargetLoad = lastLoad + 5;
-      newTargetReps = targetReps;
-      note = `Excellent performance! Increasing weight to ${newTargetLoad}lbs for the next session.`;
-    } else if (rirDifference < -1) {
-      newTargetLoad = lastLoad;
-      newTargetReps = targetReps;
-      note = `Last session was challenging. Maintain ${newTargetLoad}lbs and focus on hitting your rep targets.`;
-    } else {
-      const lastSetReps = completedSets[completedSets.length - 1].reps;
-      const targetRepsUpper = targetReps + 2;
-      
-      if (lastSetReps >= targetRepsUpper) {
-        newTargetLoad = lastLoad + 5;
-        newTargetReps = targetReps;
-        note = `All sets hit the rep target. Increasing weight to ${newTargetLoad}lbs for the next session.`;
+
+    // Non-numeric targets like "AMRAP" can't be progressed through a range.
+    if (!repRange) {
+      return {
+        targetLoad: lastLoad,
+        targetReps: targetReps,
+        repRange: `${targetReps}`,
+        units,
+        note: `Keep ${lastLoad}${units} and beat last session's reps.`
+      };
+    }
+
+    const rangeLabel = `${repRange.min}-${repRange.max}`;
+    let newTargetLoad = lastLoad;
+    let newTargetReps;
+    let note;
+
+    const missedSets = getMissedPlannedSets(previousWorkoutExercise);
+
+    // Load only goes up once the top of the range is reached at the target RIR or further from failure
+    if (lowestReps >= repRange.max && rirDifference >= 0 && missedSets > 0) {
+      newTargetReps = repRange.max;
+      note = `Top of the ${rangeLabel} range hit, but ${missedSets} planned ${missedSets === 1 ? 'set was' : 'sets were'} skipped. Stay at ${newTargetLoad}${units} and finish every set before adding load.`;
+    } else if (lowestReps >= repRange.max && rirDifference >= 0) {
+      const details = this._getExerciseDetails(name) || previousWorkoutExercise;
+      const increment = this.getLoadIncrement(details, units);
+      newTargetLoad = this.roundToAchievableLoad(lastLoad + increment, details, 'up', units);
+      if (newTargetLoad > lastLoad) {
+        newTargetReps = repRange.min;
+        note = `Top of the ${rangeLabel} range hit on every set. Increasing to ${newTargetLoad}${units} and resetting to ${newTargetReps} reps.`;
       } else {
         newTargetLoad = lastLoad;
-        newTargetReps = targetReps + 1;
-        note = `Solid performance! Aim for one more rep per set in your next session with the same weight.`;
+        newTargetReps = repRange.max;
+        note = `Top of the ${rangeLabel} range hit, but your equipment doesn't go past ${lastLoad}${units}. Slow the tempo or pause each rep.`;
       }
+    } else if (rirDifference < -1) {
+      newTargetReps = Math.max(repRange.min, Math.min(lowestReps, repRange.max));
+      note = `Last session was harder than planned. Stay at ${newTargetLoad}${units} and own ${newTargetReps} reps before adding more.`;
+    } else {
+      newTargetReps = Math.max(repRange.min, Math.min(lowestReps + 1, repRange.max));
+      note = `Solid work! Stay at ${newTargetLoad}${units} and aim for ${newTargetReps} reps per set.`;
     }
-    
+
     return {
       targetLoad: newTargetLoad,
       targetReps: newTargetReps,
+      repRange: rangeLabel,
+      units,
       note: note
     };
   }
 
+  // Holds, carries and reps-only work progress by beating the best set rather than adding load
+  _calculateMeasuredProgression(previousWorkoutExercise, units) {
+    const { completedSets, measurementMode, targetReps } = previousWorkoutExercise;
+    const { metric } = MEASUREMENT_MODES[measurementMode];
+    const best = Math.max(...completedSets.map(set => getSetMetricValue(set, measurementMode)));
+    const heaviest = Math.max(0, ...completedSets.map(set => parseFloat(set.weight) || 0));
+    const step = metric.unit === 'reps' ? 1 : 5;
+    const target = best + step;
+    const load = heaviest > 0 ? ` with ${heaviest}${units}` : '';
+    const format = value => (metric.unit === 's' ? `${value}s` : `${value} ${metric.unit}`);
+
+    return {
+      targetLoad: heaviest || null,
+      targetReps: metric.unit === 'reps' ? target : targetReps,
+      repRange: `${targetReps}`,
+      measurementMode,
+      target,
+      units,
+      note: `Best set last time was ${format(best)}. Aim for ${format(target)}${load}.`
+    };
+  }
+
+  // Bodyweight lifts progress along one signed scale: less assistance, then bodyweight, then added load
+  _calculateBodyweightProgression(previousWorkoutExercise, repRange, units) {
+    const { name, completedSets, targetRir = 2, targetReps } = previousWorkoutExercise;
+    const lastLoad = Math.max(...completedSets.map(set => getSignedExternalLoad(set)));
+    const workingSets = completedSets.filter(set => getSignedExternalLoad(set) === lastLoad);
+    const avgRir = getAverageRir(workingSets, targetRir);
+    const lowestReps = Math.min(...workingSets.map(set => parseInt(set.reps, 10) || 0));
+    const rirDifference = avgRir - targetRir;
+
+    const describeLoad = load => {
+      const loading = getLoadingMode(load);
+      if (loading === 'bodyweight') return 'bodyweight';
+      return `${Math.abs(load)}${units} ${loading === 'assisted' ? 'of assistance' : 'added'}`;
+    };
+    const prescribe = (load, reps, note) => ({
+      targetLoad: Math.abs(load),
+      loading: getLoadingMode(load),
+      targetReps: reps,
+      repRange: repRange ? `${repRange.min}-${repRange.max}` : `${targetReps}`,
+      units,
+      note
+    });
+
+    if (!repRange) {
+      return prescribe(lastLoad, targetReps, `Keep ${describeLoad(lastLoad)} and beat last session's reps.`);
+    }
+
+    const rangeLabel = `${repRange.min}-${repRange.max}`;
+    if (lowestReps >= repRange.max && rirDifference >= 0) {
+      const details = this._getExerciseDetails(name) || previousWorkoutExercise;
+      const increment = this.getLoadIncrement(details, units);
+      let nextLoad;
+      if (lastLoad < 0) {
+        const remainingAssistance = Math.abs(lastLoad) - increment;
+        nextLoad = remainingAssistance > 0 ? -this.roundToAchievableLoad(remainingAssistance, details, 'nearest', units) : 0;
+      } else {
+        nextLoad = this.roundToAchievableLoad(lastLoad + increment, details, 'up', units);
+      }
+      const change = lastLoad < 0 && nextLoad === 0
+        ? 'Drop the assistance and move to bodyweight'
+        : `Move to ${describeLoad(nextLoad)}`;
+      return prescribe(nextLoad, repRange.min, `Top of the ${rangeLabel} range hit on every set. ${change}, resetting to ${repRange.min} reps.`);
+    }
+    if (rirDifference < -1) {
+      const reps = Math.max(repRange.min, Math.min(lowestReps, repRange.max));
+      return prescribe(lastLoad, reps, `Last session was harder than planned. Stay at ${describeLoad(lastLoad)} and own ${reps} reps before progressing.`);
+    }
+    const reps = Math.max(repRange.min, Math.min(lowestReps + 1, repRange.max));
+    return prescribe(lastLoad, reps, `Solid work! Stay at ${describeLoad(lastLoad)} and aim for ${reps} reps per set.`);
+  }
+
+  parseRepRange(targetReps) {
+    if (typeof targetReps === 'number') {
+      return { min: targetReps, max: targetReps + 2 };
+    }
+    const text = String(targetReps || '');
+    const rangeMatch = text.match(/(\d+)\s*(?:-|–|to)\s*(\d+)/);
+    if (rangeMatch) {
+      const min = parseInt(rangeMatch[1], 10);
+      const max = parseInt(rangeMatch[2], 10);
+      return { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+    const singleMatch = text.match(/^\s*(\d+)/);
+    if (singleMatch) {
+      const reps = parseInt(singleMatch[1], 10);
+      return { min: reps, max: reps + 2 };
+    }
+    return null;
+  }
+
+  getLoadIncrement(exercise, units = this._getUnits()) {
+    const increments = this.loadIncrements[units] || this.loadIncrements.lbs;
+    const equipment = exercise?.equipment || [];
+    const lowerBodyGroups = ['quads', 'hamstrings', 'glutes', 'legs', 'calves'];
+
+    if (equipment.includes('dumbbell')) return increments.dumbbell;
+    if (exercise?.type !== 'compound') return increments.isolation;
+    return lowerBodyGroups.includes(exercise?.muscleGroup) ? increments.lowerCompound : increments.upperCompound;
+  }
+
+  _getUnits() {
+    return this.userProfile?.units || localStorage.getItem('units') || 'lbs';
+  }
+
 /*
 ===============================================
 SECTION 5: AUTOREGULATION AND RECOVERY
@@ -189,9 +387,7 @@ SECTION 5: AUTOREGULATION AND RECOVERY
 */
 
   calculateRecoveryScore(readinessData) {
-    const { sleep_quality, energy_level, motivation, muscle_soreness } = readinessData;
-    const sorenessInverse = 11 - muscle_soreness;
-    return (sleep_quality + energy_level + motivation + sorenessInverse) / 4;
+    return this.autoRegulation.calculateRecoveryScore(readinessData);
   }
 
   getDailyReadiness(recoveryScore) {
@@ -199,23 +395,9 @@ SECTION 5: AUTOREGULATION AND RECOVERY
   }
 
   adjustWorkout(plannedWorkout, readinessScore) {
-    const adjustedWorkout = JSON.parse(JSON.stringify(plannedWorkout));
-    let adjustmentNote = "Workout is as planned.";
-    
-    if (readinessScore < 6) {
-      adjustmentNote = "Readiness is low. Volume reduced by 20% and intensity reduced.";
-      adjustedWorkout.exercises.forEach(ex => {
-        if (ex.sets && ex.sets.length > 3) ex.sets.pop();
-        ex.targetReps = Math.max(5, (parseInt(ex.targetReps) || 10) - 2);
-      });
-    } else if (readinessScore > 8) {
-      adjustmentNote = "Feeling great! Increasing intensity slightly.";
-      adjustedWorkout.exercises.forEach(ex => {
-        ex.targetReps = (parseInt(ex.targetReps) || 10) + 1;
-      });
-    }
+    const preparedWorkout = JSON.parse(JSON.stringify(plannedWorkout));
 
-    adjustedWorkout.exercises.forEach(ex => {
+    preparedWorkout.exercises.forEach(ex => {
       if (!ex.muscleGroup) {
         ex.muscleGroup = this._getExerciseMuscleGroup(ex.name);
       }
@@ -225,11 +407,43 @@ SECTION 5: AUTOREGULATION AND RECOVERY
         ex.targetRir = exerciseType === 'compound' ? 2 : 3;
       }
     });
-    
-    adjustedWorkout.adjustmentNote = adjustmentNote;
+
+    let adjustedWorkout = this.applyMuscleFeedback(this.applyProgramPeriodization(preparedWorkout));
+    if (readinessScore === undefined || readinessScore === null) {
+      adjustedWorkout.adjustmentNote = "Workout is as planned.";
+    } else {
+      adjustedWorkout = this.autoRegulation.adjustWorkout(adjustedWorkout, readinessScore, this._getPreviousPerformance());
+    }
+
+    adjustedWorkout.exercises.forEach(ex => {
+      if (ex.targetLoad) ex.targetLoad = this.roundToAchievableLoad(ex.targetLoad, ex);
+    });
+    adjustedWorkout.volumeWarnings = this.checkPlannedVolume(adjustedWorkout);
     return adjustedWorkout;
   }
 
+  _getPreviousPerformance() {
+    const previousPerformance = {};
+    const workouts = [...(this.userProfile?.workouts || [])]
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    workouts.forEach(workout => {
+      (workout.exercises || []).forEach(ex => {
+        previousPerformance[ex.name] = { sets: ex.completedSets || [], targetRIR: ex.targetRir };
+      });
+    });
+    return previousPerformance;
+  }
+
+  _getExerciseDetails(exerciseName) {
+    if (!exerciseName) return null;
+    const name = exerciseName.toLowerCase();
+    for (const group in this.exerciseDatabase) {
+      const match = this.exerciseDatabase[group].find(ex => ex.name.toLowerCase() === name);
+      if (match) return { ...match, muscleGroup: group };
+    }
+    return null;
+  }
+
   _getExerciseMuscleGroup(exerciseName) {
     const name = exerciseName.toLowerCase();
     for (const group in this.exerciseDatabase) {
@@ -321,18 +535,75 @@ SECTION 7: WORKOUT SPLIT AND MESOCYCLE LOGIC
     return splits[daysPerWeek] || splits[4];
   }
 
-  generateMesocycle(daysPerWeek, mesocycleLength = 4) {
-    const mesocycle = { weeks: [] };
+  // Rep ranges, volume scaling and RIR offset for one training day under the chosen model.
+  // Linear and undulating keep the weekly volume ramp; block and reverse-linear shape volume themselves.
+  getPeriodizationPhase(model, week, totalWeeks, dayIndex) {
+    switch (model) {
+      case 'undulating': {
+        const dailyPhases = [
+          { name: 'Heavy', reps: { compound: [4, 6], isolation: [8, 10] }, volumeMultiplier: 0.8, rirOffset: 0 },
+          { name: 'Moderate', reps: { compound: [8, 10], isolation: [10, 12] }, volumeMultiplier: 1.0, rirOffset: 0 },
+          { name: 'Light', reps: { compound: [12, 15], isolation: [15, 20] }, volumeMultiplier: 1.1, rirOffset: 1 },
+        ];
+        return { ...dailyPhases[dayIndex % dailyPhases.length], rampVolume: true };
+      }
+      case 'block': {
+        if (week === totalWeeks && totalWeeks > 1) {
+          return { name: 'Realization', reps: { compound: [3, 5], isolation: [6, 8] }, volumeMultiplier: 0.6, rirOffset: -1, rampVolume: false };
+        }
+        if (week <= Math.ceil((totalWeeks - 1) / 2)) {
+          return { name: 'Accumulation', reps: { compound: [10, 12], isolation: [12, 15] }, volumeMultiplier: Math.min(1.25, 1.1 + (week - 1) * 0.05), rirOffset: 1, rampVolume: false };
+        }
+        return { name: 'Intensification', reps: { compound: [6, 8], isolation: [8, 10] }, volumeMultiplier: 0.9, rirOffset: 0, rampVolume: false };
+      }
+      case 'reverse-linear': {
+        // Loads fall and reps climb across the block, from the heavy end of each window to the light end
+        const progress = totalWeeks > 1 ? Math.min(1, Math.max(0, (week - 1) / (totalWeeks - 1))) : 0;
+        const repWindow = { compound: [[4, 6], [12, 15]], isolation: [[8, 10], [15, 20]] };
+        const toRange = ([[startMin, startMax], [endMin, endMax]]) => [
+          Math.round(startMin + (endMin - startMin) * progress),
+          Math.round(startMax + (endMax - startMax) * progress),
+        ];
+        return {
+          name: `Week ${week}`,
+          reps: { compound: toRange(repWindow.compound), isolation: toRange(repWindow.isolation) },
+          volumeMultiplier: 0.9 + progress * 0.2,
+          rirOffset: 0,
+          rampVolume: false,
+        };
+      }
+      case 'linear':
+      default:
+        return { name: 'Linear', reps: null, volumeMultiplier: 1.0, rirOffset: 0, rampVolume: true };
+    }
+  }
+
+  _getPhaseRepRange(phase, exerciseType, userGender) {
+    if (!phase.reps) {
+      return exerciseType === 'compound' ? (userGender === 'male' ? "6-8" : "8-10") : "10-12";
+    }
+    const [min, max] = phase.reps[exerciseType === 'compound' ? 'compound' : 'isolation'];
+    return `${min}-${max}`;
+  }
+
+  generateMesocycle(daysPerWeek, mesocycleLength = 4, periodizationModel = this.userProfile.periodizationModel || 'linear') {
+    const model = this.periodizationModels[periodizationModel] ? periodizationModel : 'linear';
+    const mesocycle = { periodization: model, weeks: [] };
     const workoutSplit = this.getWorkoutSplit(daysPerWeek);
     const userGender = this.userProfile.sex;
 
     for (let week = 1; week <= mesocycleLength; week++) {
-      const weeklyPlan = { week: week, days: [] };
+      // The appended deload week is the last week of the taper
+      const weeklyRir = this.autoRegulation.calculateWeeklyRIR(week, mesocycleLength + 1);
+      const weeklyPlan = { week: week, targetRir: weeklyRir, days: [] };
       
       for (let dayIndex = 0; dayIndex < daysPerWeek; dayIndex++) {
         const splitDay = workoutSplit[dayIndex % workoutSplit.length];
+        const phase = this.getPeriodizationPhase(model, week, mesocycleLength, dayIndex);
+        weeklyPlan.phase = weeklyPlan.phase || phase.name;
         const dayPlan = { 
           name: splitDay.name,
+          phase: phase.name,
           muscleGroups: splitDay.groups, 
           exercises: [] 
         };
@@ -340,7 +611,8 @@ SECTION 7: WORKOUT SPLIT AND MESOCYCLE LOGIC
         for (const muscle of splitDay.groups) {
           const landmarks = this.getVolumeLandmarks(muscle, Math.ceil(daysPerWeek / workoutSplit.length));
           const startingVolume = landmarks.mev * 1.1;
-          const { targetVolume } = this.calculateWeeklyVolume(startingVolume, week, landmarks.mav);
+          const { targetVolume: rampedVolume } = this.calculateWeeklyVolume(startingVolume, phase.rampVolume ? week : 1, landmarks.mav);
+          const targetVolume = Math.min(landmarks.mrv, Math.round(rampedVolume * phase.volumeMultiplier));
           
           const numExercises = targetVolume > 12 ? 3 : 2;
           const selectedExercises = this.selectExercisesForMuscle(muscle, numExercises, { gender: userGender });
@@ -352,7 +624,8 @@ SECTION 7: WORKOUT SPLIT AND MESOCYCLE LOGIC
               return {
                   name: ex.name,
                   sets: Array(Math.max(1, setsForThisEx)).fill({}),
-                  targetReps: ex.type === 'compound' ? (userGender === 'male' ? "6-8" : "8-10") : "10-12",
+                  targetReps: this._getPhaseRepRange(phase, ex.type, userGender),
+                  targetRir: Math.max(0, weeklyRir + phase.rirOffset),
                   muscleGroup: muscle,
                   category: ex.type || 'strength',
                   type: ex.type
@@ -366,11 +639,18 @@ SECTION 7: WORKOUT SPLIT AND MESOCYCLE LOGIC
     }
     
     // Add a deload week
-    const deloadWeek = { week: mesocycleLength + 1, isDeload: true, days: [] };
+    const deloadWeek = {
+      week: mesocycleLength + 1,
+      phase: 'Deload',
+      isDeload: true,
+      targetRir: DELOAD_RIR,
+      days: []
+    };
     for (let dayIndex = 0; dayIndex < daysPerWeek; dayIndex++) {
       const splitDay = workoutSplit[dayIndex % workoutSplit.length];
       const deloadDayPlan = { 
         name: `${splitDay.name} (Deload)`,
+        phase: 'Deload',
         muscleGroups: splitDay.groups, 
         exercises: [] 
       };
@@ -383,6 +663,7 @@ SECTION 7: WORKOUT SPLIT AND MESOCYCLE LOGIC
               name: ex.name,
               sets: Array(Math.max(1, Math.round(deloadVolume / numExercises))).fill({}),
               targetReps: ex.type === 'compound' ? "6-8" : "10-12",
+              targetRir: deloadWeek.targetRir,
               muscleGroup: muscle,
               category: ex.type || 'strength',
               type: ex.type
@@ -401,7 +682,7 @@ SECTION 7: WORKOUT SPLIT AND MESOCYCLE LOGIC
 SECTION 8: PROGRAM PLAN GENERATION
 ===============================================
 */
-  generateProgramPlan(program, duration, startWorkoutIndex) {
+  generateProgramPlan(program, duration, startWorkoutIndex, periodizationModel = this.userProfile?.periodizationModel) {
     const { workouts, daysPerWeek } = program;
     let totalWorkouts;
 
@@ -415,7 +696,10 @@ SECTION 8: PROGRAM PLAN GENERATION
     
     const plan = {
         name: program.name,
+        daysPerWeek: daysPerWeek,
         duration: duration,
+        periodization: this.periodizationModels[periodizationModel] ? periodizationModel : 'linear',
+        totalWeeks: Math.ceil(totalWorkouts / daysPerWeek),
         startDate: new Date().toISOString(),
         workouts: [],
     };
@@ -432,6 +716,49 @@ SECTION 8: PROGRAM PLAN GENERATION
     return plan;
   }
 
+  // Week of the program a scheduled workout falls in, and its position within that week.
+  // After a triggered deload the remaining workouts are a new block, counted from its first day.
+  _getProgramPosition(workout, program) {
+    const daysPerWeek = program.daysPerWeek || 1;
+    const blockStartDay = program.blockStartDay || 1;
+    const lastDay = Math.max(...program.workouts.map(w => w.day));
+    return {
+      week: Math.ceil((workout.day - blockStartDay + 1) / daysPerWeek),
+      dayIndex: (workout.day - blockStartDay) % daysPerWeek,
+      totalWeeks: program.blockStartDay
+        ? Math.ceil((lastDay - blockStartDay + 1) / daysPerWeek)
+        : program.totalWeeks || Math.ceil(program.workouts.length / daysPerWeek),
+    };
+  }
+
+  // Shapes a scheduled program workout by the program's periodization model: the phase sets
+  // the rep range and scales the sets, and the RIR target follows the weekly taper
+  applyProgramPeriodization(workout, program = this.userProfile?.activeProgram) {
+    const isScheduled = program && workout.day && program.workouts?.some(w => w.day === workout.day && w.name === workout.name);
+    if (!isScheduled || workout.isDeload) return workout;
+
+    const { week, dayIndex, totalWeeks } = this._getProgramPosition(workout, program);
+    const phase = this.getPeriodizationPhase(program.periodization || 'linear', week, totalWeeks, dayIndex);
+    const userGender = this.userProfile?.sex;
+    // As in generateMesocycle, the deload that follows the program is the last week of the taper
+    const weeklyRir = this.autoRegulation.calculateWeeklyRIR(week, totalWeeks + 1);
+
+    workout.phase = phase.name;
+    workout.programWeek = { week, totalWeeks, targetRir: weeklyRir };
+    workout.exercises = workout.exercises.map(ex => {
+      const plannedSets = (ex.sets || []).length || 1;
+      const { targetVolume } = this.calculateWeeklyVolume(plannedSets, phase.rampVolume ? week : 1, plannedSets * 2);
+      const adjusted = { ...ex, sets: Array(Math.max(1, Math.round(targetVolume * phase.volumeMultiplier))).fill({}) };
+      // Timed and distance work keeps its own targets
+      if (phase.reps && ['weight_reps', 'reps'].includes(getMeasurementMode(ex))) {
+        adjusted.targetReps = this._getPhaseRepRange(phase, ex.type || this._getExerciseDetails(ex.name)?.type, userGender);
+      }
+      adjusted.targetRir = Math.max(0, weeklyRir + phase.rirOffset);
+      return adjusted;
+    });
+    return workout;
+  }
+
 /*
 ===============================================
 SECTION 9: LONG-TERM PROGRESSION AND WORKOUT GENERATION
@@ -494,7 +821,7 @@ SECTION 10: EXERCISE SUBSTITUTION ENGINE
 ===============================================
 */
   getExerciseSubstitutions(originalExercise, availableEquipment) {
-    const allExercises = Object.values(this.exerciseDatabase).flat();
+    const allExercises = getAllExercises(this.userProfile?.customExercises);
     const maxScore = 25; 
 
     const potentialSubstitutions = allExercises.filter(ex => {
@@ -514,8 +841,8 @@ SECTION 10: EXERCISE SUBSTITUTION ENGINE
       // Muscle Group Scoring (Max 7)
       if (sub.muscleGroup === originalExercise.muscleGroup) {
         score += 7;
-      } else if (this._hasSecondaryOverlap(sub.muscleGroup, originalExercise.muscleGroup)) {
-        score += 3;
+      } else {
+        score += 6 * this._getMuscleOverlap(sub, originalExercise);
       }
 
       // Exercise Type Scoring (Max 3)
@@ -555,19 +882,524 @@ SECTION 10: EXERCISE SUBSTITUTION ENGINE
       return similarPatterns.some(pair => pair.includes(pattern1) && pair.includes(pattern2));
   }
 
-  _hasSecondaryOverlap(group1, group2) {
-      const overlapMap = {
-          'chest': ['shoulders', 'triceps'],
-          'back': ['biceps', 'shoulders'],
-          'quads': ['glutes'],
-          'hamstrings': ['glutes'],
-          'shoulders': ['chest', 'triceps']
-      };
-      return (overlapMap[group1] && overlapMap[group1].includes(group2)) || (overlapMap[group2] && overlapMap[group2].includes(group1));
+  _getMuscleOverlap(exercise1, exercise2) {
+      // Strongest fractional credit either exercise gives the other's primary muscle
+      const contributions1 = getMuscleContributions(exercise1);
+      const contributions2 = getMuscleContributions(exercise2);
+      return Math.max(contributions1[exercise2.muscleGroup] || 0, contributions2[exercise1.muscleGroup] || 0);
   }
 
   _isOneLevelOff(cost1, cost2) {
       const costLevels = { 'low': 1, 'medium': 2, 'high': 3 };
       return Math.abs(costLevels[cost1] - costLevels[cost2]) === 1;
   }
+
+/*
+===============================================
+SECTION 11: WEEKLY VOLUME TRACKING
+===============================================
+*/
+  _getTrainingWeekKey(date) {
+    const weekStart = new Date(date);
+    weekStart.setHours(0, 0, 0, 0);
+    // Training weeks start on Monday
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+    return weekStart.toISOString().slice(0, 10);
+  }
+
+  // Only a logged effort rating shows how close to failure a set was
+  _isHardSet(set) {
+    return hasEffortRating(set) && Number(set.rir) <= this.hardSetMaxRir;
+  }
+
+  _isUnratedSet(set) {
+    return !hasEffortRating(set);
+  }
+
+  // Counts the sets matching `countsSet` per muscle per training week; hard sets by default
+  calculateVolumeLedger(workouts = this.userProfile?.workouts || [], countsSet = set => this._isHardSet(set)) {
+    const ledger = {};
+    workouts.forEach(workout => {
+      if (!workout?.date) return;
+      const weekKey = this._getTrainingWeekKey(workout.date);
+      if (!ledger[weekKey]) ledger[weekKey] = {};
+
+      (workout.exercises || []).forEach(ex => {
+        const sets = (ex.completedSets || []).filter(countsSet).length;
+        if (sets === 0) return;
+        const contributions = this._getMuscleContributions(ex);
+        for (const [muscle, weight] of Object.entries(contributions)) {
+          ledger[weekKey][muscle] = (ledger[weekKey][muscle] || 0) + sets * weight;
+        }
+      });
+    });
+    return ledger;
+  }
+
+  _getMuscleContributions(exercise) {
+    const details = this._getExerciseDetails(exercise.name);
+    const primary = exercise.muscleGroup || details?.muscleGroup || this._getExerciseMuscleGroup(exercise.name || '');
+    if (!details) return { [primary]: 1 };
+    return getMuscleContributions(details, primary);
+  }
+
+  getVolumeStatus(muscleGroup, hardSets, trainingFrequency = 2) {
+    const landmarks = this.getVolumeLandmarks(muscleGroup, trainingFrequency);
+    let zone = 'maintenance';
+    if (hardSets >= landmarks.mev) zone = 'productive';
+    if (hardSets > landmarks.mav) zone = 'high';
+    if (hardSets > landmarks.mrv) zone = 'over-mrv';
+    if (hardSets < landmarks.mv) zone = 'below-mv';
+    return { muscleGroup, hardSets, landmarks, zone };
+  }
+
+  // Sets logged without an effort rating are reported alongside, not counted as hard sets
+  getCurrentWeekVolume(date = new Date()) {
+    const weekKey = this._getTrainingWeekKey(date);
+    const weekVolume = this.calculateVolumeLedger()[weekKey] || {};
+    const weekUnrated = this.calculateVolumeLedger(undefined, set => this._isUnratedSet(set))[weekKey] || {};
+    const round = (sets) => Math.round((sets || 0) * 10) / 10;
+    return [...new Set([...Object.keys(weekVolume), ...Object.keys(weekUnrated)])]
+      .map(muscle => ({
+        ...this.getVolumeStatus(muscle, round(weekVolume[muscle])),
+        unratedSets: round(weekUnrated[muscle]),
+      }))
+      .sort((a, b) => b.hardSets - a.hardSets || b.unratedSets - a.unratedSets);
+  }
+
+  checkPlannedVolume(plannedWorkout, date = new Date()) {
+    const ledger = this.calculateVolumeLedger();
+    const weekVolume = ledger[this._getTrainingWeekKey(date)] || {};
+    const plannedSets = {};
+    (plannedWorkout?.exercises || []).forEach(ex => {
+      const contributions = this._getMuscleContributions(ex);
+      for (const [muscle, weight] of Object.entries(contributions)) {
+        plannedSets[muscle] = (plannedSets[muscle] || 0) + (ex.sets?.length || 0) * weight;
+      }
+    });
+
+    return Object.entries(plannedSets)
+      .map(([muscle, sets]) => {
+        const projected = Math.round(((weekVolume[muscle] || 0) + sets) * 10) / 10;
+        const { mrv } = this.getVolumeLandmarks(muscle);
+        return { muscleGroup: muscle, projectedSets: projected, mrv };
+      })
+      .filter(entry => entry.projectedSets > entry.mrv)
+      .map(entry => ({
+        ...entry,
+        message: `${entry.muscleGroup.charAt(0).toUpperCase() + entry.muscleGroup.slice(1)} would reach ${entry.projectedSets} hard sets this week, past its MRV of ${entry.mrv}.`
+      }));
+  }
+
+/*
+===============================================
+SECTION 12: PERFORMANCE-DRIVEN DELOAD DETECTION
+===============================================
+*/
+  _getWorkoutsSinceLastDeload(workouts) {
+    const lastDeloadDate = this.userProfile?.lastDeloadDate ? new Date(this.userProfile.lastDeloadDate) : null;
+    return [...(workouts || [])]
+      .filter(workout => workout?.date && (!lastDeloadDate || new Date(workout.date) > lastDeloadDate))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  _findDecliningExercises(workouts) {
+    const exposures = {};
+    workouts.forEach(workout => {
+      (workout.exercises || []).forEach(ex => {
+        const bestE1RM = Math.max(0, ...(ex.completedSets || []).map(set => calculateSetE1RM(set)));
+        if (bestE1RM > 0) {
+          (exposures[ex.name] = exposures[ex.name] || []).push(bestE1RM);
+        }
+      });
+    });
+
+    const window = this.deloadThresholds.performanceWindow;
+    return Object.entries(exposures)
+      .filter(([, history]) => history.length >= window)
+      .filter(([, history]) => {
+        const recent = history.slice(-window);
+        return recent.every((value, i) => i === 0 || value < recent[i - 1]);
+      })
+      .map(([name]) => name);
+  }
+
+  _countLowReadinessStreak(workouts) {
+    let streak = 0;
+    for (let i = workouts.length - 1; i >= 0; i--) {
+      const score = workouts[i].readiness?.score;
+      if (score === undefined || score === null) continue;
+      if (score >= this.deloadThresholds.lowReadinessScore) break;
+      streak++;
+    }
+    return streak;
+  }
+
+  _countRirUnderTargetStreak(workouts) {
+    let streak = 0;
+    for (let i = workouts.length - 1; i >= 0; i--) {
+      const rated = (workouts[i].exercises || []).filter(ex =>
+        ex.targetRir !== undefined && ex.targetRir !== null && (ex.completedSets || []).length > 0
+      );
+      if (rated.length === 0) continue;
+      const underTarget = rated.filter(ex => {
+        return getAverageRir(ex.completedSets, ex.targetRir) < ex.targetRir - 1;
+      });
+      if (underTarget.length / rated.length < 0.5) break;
+      streak++;
+    }
+    return streak;
+  }
+
+  detectDeloadNeed(workouts = this.userProfile?.workouts || []) {
+    const recentWorkouts = this._getWorkoutsSinceLastDeload(workouts);
+    const reasons = [];
+
+    const decliningExercises = this._findDecliningExercises(recentWorkouts);
+    if (decliningExercises.length >= this.deloadThresholds.decliningExercises) {
+      reasons.push(`Estimated 1RM fell for ${this.deloadThresholds.performanceWindow} sessions in a row on ${decliningExercises.join(', ')}.`);
+    }
+
+    const lowReadinessStreak = this._countLowReadinessStreak(recentWorkouts);
+    if (lowReadinessStreak >= this.deloadThresholds.lowReadinessStreak) {
+      reasons.push(`Readiness was below ${this.deloadThresholds.lowReadinessScore}/10 for your last ${lowReadinessStreak} workouts.`);
+    }
+
+    const rirStreak = this._countRirUnderTargetStreak(recentWorkouts);
+    if (rirStreak >= this.deloadThresholds.rirUnderTargetStreak) {
+      reasons.push(`Sets were closer to failure than planned for ${rirStreak} workouts in a row.`);
+    }
+
+    return { triggered: reasons.length > 0, reasons };
+  }
+
+  // Inserts a deload week built from the next week's sessions and pushes the rest of the
+  // program back behind it, where it starts a fresh block with its own volume ramp and RIR taper
+  applyDeloadToProgram(program, reasons = []) {
+    const updatedProgram = JSON.parse(JSON.stringify(program));
+    const daysPerWeek = updatedProgram.daysPerWeek || this.userProfile?.daysPerWeek || 3;
+    const completedWorkouts = updatedProgram.workouts.filter(w => w.completed);
+    const remainingWorkouts = updatedProgram.workouts.filter(w => !w.completed);
+    if (remainingWorkouts.length === 0 || remainingWorkouts[0].isDeload) {
+      return updatedProgram;
+    }
+
+    const startDay = remainingWorkouts[0].day;
+    const deloadNote = `Deload: ${reasons.join(' ')}`;
+    const deloadWeek = remainingWorkouts.slice(0, daysPerWeek).map((workout, index) => ({
+      ...workout,
+      day: startDay + index,
+      name: `${workout.name} (Deload)`,
+      isDeload: true,
+      deloadNote,
+      exercises: (workout.exercises || []).map(ex => ({
+        ...ex,
+        sets: Array(Math.max(1, Math.round((ex.sets?.length || 1) * 0.5))).fill({}),
+        targetRir: DELOAD_RIR,
+        targetLoad: this._easeTargetLoad(ex.targetLoad, ex, ex.loading),
+      })),
+    }));
+    const blockStartDay = startDay + deloadWeek.length;
+    const nextBlock = remainingWorkouts.map((workout, index) => ({ ...workout, day: blockStartDay + index }));
+
+    updatedProgram.workouts = [...completedWorkouts, ...deloadWeek, ...nextBlock];
+    updatedProgram.blockStartDay = blockStartDay;
+    updatedProgram.totalWeeks = Math.ceil(updatedProgram.workouts.length / daysPerWeek);
+    updatedProgram.deloadHistory = [
+      ...(updatedProgram.deloadHistory || []),
+      { date: new Date().toISOString(), reasons, startDay, blockStartDay }
+    ];
+    return updatedProgram;
+  }
+
+/*
+===============================================
+SECTION 13: MUSCLE FEEDBACK AND VOLUME LEARNING
+===============================================
+*/
+  // Feedback adjusts only the next session for the muscle: once a later workout has trained it,
+  // that session used the feedback and there is nothing left to apply
+  _getLatestMuscleFeedback(muscleGroup) {
+    const workouts = [...(this.userProfile?.workouts || [])]
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+    const lastTrained = workouts.find(w => w.muscleFeedback?.[muscleGroup] || (w.exercises || []).some(ex =>
+      (ex.muscleGroup || this._getExerciseMuscleGroup(ex.name || '')) === muscleGroup && (ex.completedSets || []).length > 0
+    ));
+    return lastTrained?.muscleFeedback?.[muscleGroup] || null;
+  }
+
+  // Renaissance-style set adjustment: pain and incomplete recovery cut sets,
+  // fast recovery from a manageable workload adds them
+  getFeedbackSetChange(answers = {}) {
+    const jointPain = answers['Joint Pain'];
+    const recovery = answers['Soreness Recovery'];
+    const pump = answers['Pump'];
+    const workload = answers['Workload'];
+
+    if (jointPain === 'A Lot of Pain') {
+      return { change: -2, reason: "a lot of joint pain last session" };
+    }
+    if (jointPain === 'Moderate Pain') {
+      return { change: -1, reason: "joint pain last session" };
+    }
+    if (recovery === "I'm Still Sore!") {
+      return { change: -1, reason: "still sore from last session" };
+    }
+    if (workload === 'Too Much') {
+      return { change: -1, reason: "last session's workload was too much" };
+    }
+
+    const recoveredEarly = recovery === 'Never Got Sore' || recovery === 'Healed a While Ago';
+    const workloadManageable = workload === 'Easy' || workload === 'Pretty Good';
+    if (recoveredEarly && workloadManageable) {
+      const change = recovery === 'Never Got Sore' && (workload === 'Easy' || pump === 'Low Pump') ? 2 : 1;
+      return { change, reason: "recovered early with room to spare" };
+    }
+    return { change: 0, reason: "recovered just in time" };
+  }
+
+  // Sessions per week that train the muscle: from a week of the active program, otherwise
+  // from the generated split for the user's training days
+  getMuscleTrainingFrequency(muscleGroup) {
+    const program = this.userProfile?.activeProgram;
+    const daysPerWeek = program?.daysPerWeek || this.userProfile?.daysPerWeek || 4;
+    const split = this.getWorkoutSplit(daysPerWeek);
+    const week = program?.workouts?.length
+      ? program.workouts.filter(workout => !workout.isDeload).slice(0, daysPerWeek)
+      : Array.from({ length: daysPerWeek }, (_, dayIndex) => ({ muscleGroups: split[dayIndex % split.length].groups }));
+    const sessions = week.filter(workout => workout.muscleGroups
+      ? workout.muscleGroups.includes(muscleGroup)
+      : (workout.exercises || []).some(ex => (ex.muscleGroup || this._getExerciseMuscleGroup(ex.name || '')) === muscleGroup)
+    ).length;
+    return Math.max(1, sessions);
+  }
+
+  applyMuscleFeedback(plannedWorkout) {
+    const adjustedWorkout = JSON.parse(JSON.stringify(plannedWorkout));
+    const muscleGroups = [...new Set(adjustedWorkout.exercises.map(ex => ex.muscleGroup).filter(Boolean))];
+    const feedbackAdjustments = [];
+
+    muscleGroups.forEach(muscle => {
+      const answers = this._getLatestMuscleFeedback(muscle);
+      if (!answers) return;
+
+      const exercises = adjustedWorkout.exercises.filter(ex => ex.muscleGroup === muscle);
+      const plannedSets = exercises.reduce((sum, ex) => sum + (ex.sets?.length || 0), 0);
+      const { change, reason } = this.getFeedbackSetChange(answers);
+
+      // Keep each session's share of the weekly MEV-MRV band; never push further outside it
+      const frequency = this.getMuscleTrainingFrequency(muscle);
+      const landmarks = this.getVolumeLandmarks(muscle, frequency);
+      const minSets = Math.min(plannedSets, Math.max(exercises.length, Math.round(landmarks.mev / frequency)));
+      const maxSets = Math.max(plannedSets, Math.round(landmarks.mrv / frequency));
+      const targetSets = Math.max(minSets, Math.min(maxSets, plannedSets + change));
+
+      let remaining = targetSets - plannedSets;
+      while (remaining > 0) {
+        const ex = exercises.reduce((a, b) => (b.sets.length < a.sets.length ? b : a));
+        ex.sets = [...ex.sets, {}];
+        remaining--;
+      }
+      while (remaining < 0) {
+        const ex = exercises.reduce((a, b) => (b.sets.length > a.sets.length ? b : a));
+        if (ex.sets.length <= 1) break;
+        ex.sets = ex.sets.slice(0, -1);
+        remaining++;
+      }
+
+      const applied = targetSets - plannedSets - remaining;
+      const label = muscle.charAt(0).toUpperCase() + muscle.slice(1);
+      let message;
+      if (applied > 0) message = `${label}: +${applied} set${applied > 1 ? 's' : ''} - ${reason}.`;
+      else if (applied < 0) message = `${label}: ${applied} set${applied < -1 ? 's' : ''} - ${reason}.`;
+      else if (change !== 0) message = `${label}: sets unchanged - already at the ${change > 0 ? 'top' : 'bottom'} of its volume range.`;
+      else message = `${label}: holding sets - ${reason}.`;
+      feedbackAdjustments.push({ muscleGroup: muscle, change: applied, reason, message });
+    });
+
+    adjustedWorkout.feedbackAdjustments = feedbackAdjustments;
+    return adjustedWorkout;
+  }
+
+/*
+===============================================
+SECTION 14: STALL DETECTION AND EXERCISE ROTATION
+===============================================
+*/
+  _getExerciseExposures(workouts) {
+    const exposures = {};
+    [...(workouts || [])]
+      .filter(workout => workout?.date)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(workout => {
+        (workout.exercises || []).forEach(ex => {
+          const sets = ex.completedSets || [];
+          const bestE1RM = Math.max(0, ...sets.map(set => calculateSetE1RM(set)));
+          if (bestE1RM <= 0) return;
+          const totalReps = sets.reduce((sum, set) => sum + getSetTotalReps(set), 0);
+          (exposures[ex.name] = exposures[ex.name] || []).push({ date: workout.date, bestE1RM, totalReps });
+        });
+      });
+    return exposures;
+  }
+
+  detectStalledExercises(workouts = this.userProfile?.workouts || []) {
+    const window = this.stallExposureWindow;
+    return Object.entries(this._getExerciseExposures(workouts))
+      .filter(([, history]) => history.length > window)
+      .map(([name, history]) => {
+        const baseline = history[history.length - window - 1];
+        const recent = history.slice(-window);
+        const stalled = recent.every(exposure =>
+          exposure.bestE1RM <= baseline.bestE1RM && exposure.totalReps <= baseline.totalReps
+        );
+        return stalled ? { name, since: recent[0].date, bestE1RM: Math.round(baseline.bestE1RM) } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Same movement pattern, preferring a change of equipment over a change of angle
+  getStallRotation(exerciseName, availableEquipment = this.userProfile?.availableEquipment || []) {
+    const original = getAllExercises(this.userProfile?.customExercises).find(ex => ex.name === exerciseName);
+    if (!original) return null;
+
+    const samePattern = this.getExerciseSubstitutions(original, availableEquipment)
+      .filter(sub => sub.movementPattern === original.movementPattern);
+    const differentImplement = samePattern.find(sub => !sub.equipment.includes(original.equipment[0]));
+    return differentImplement || samePattern[0] || null;
+  }
+
+  // A stall counts as a new reset only once; later exposures of the same plateau don't re-count it
+  updateStallRecords(workouts = this.userProfile?.workouts || [], stallRecords = this.userProfile?.exerciseStalls || {}) {
+    const updatedRecords = { ...stallRecords };
+    const newStalls = [];
+
+    this.detectStalledExercises(workouts).forEach(stall => {
+      const record = updatedRecords[stall.name] || { stallCount: 0 };
+      if (record.lastStallDate && new Date(record.lastStallDate) >= new Date(stall.since)) return;
+
+      const rotation = this.getStallRotation(stall.name);
+      updatedRecords[stall.name] = {
+        stallCount: record.stallCount + 1,
+        lastStallDate: new Date().toISOString(),
+        bestE1RM: stall.bestE1RM,
+        suggestedRotation: rotation ? rotation.name : null,
+      };
+      newStalls.push({ ...stall, ...updatedRecords[stall.name] });
+    });
+
+    return { stallRecords: updatedRecords, newStalls };
+  }
+
+  // Backing off an assisted lift means adding assistance, not taking it away
+  _easeTargetLoad(targetLoad, exercise, loading, units = this._getUnits()) {
+    if (!targetLoad) return targetLoad;
+    if (loading === 'assisted') return this.roundToAchievableLoad(targetLoad * 1.1, exercise, 'up', units);
+    return this.roundToAchievableLoad(targetLoad * 0.9, exercise, 'down', units);
+  }
+
+  applyStallReset(progression = {}, stall) {
+    const units = progression.units || this._getUnits();
+    const repRange = this.parseRepRange(progression.repRange);
+    const resetLoad = this._easeTargetLoad(progression.targetLoad, { name: stall.name }, progression.loading, units);
+    const loadText = progression.loading === 'assisted' ? `${resetLoad}${units} of assistance` : `${resetLoad}${units}`;
+    const rotationText = stall.suggestedRotation ? ` Or rotate to ${stall.suggestedRotation}.` : '';
+
+    const note = stall.stallCount >= 2 && stall.suggestedRotation
+      ? `Stalled ${stall.stallCount} times. Swap to ${stall.suggestedRotation} for the next block, or reset to ${loadText}.`
+      : `No progress in ${this.stallExposureWindow} sessions. Reset to ${loadText} and build back up.${rotationText}`;
+
+    return {
+      ...progression,
+      targetLoad: resetLoad,
+      targetReps: repRange ? repRange.min : progression.targetReps,
+      stallCount: stall.stallCount,
+      suggestedRotation: stall.suggestedRotation,
+      note,
+    };
+  }
+
+/*
+===============================================
+SECTION 15: WARM-UP SET GENERATION
+===============================================
+*/
+  // Ramps toward the working weight; heavier and more technical lifts get more steps
+  generateWarmupSets(exercise, workingWeight, units = this._getUnits()) {
+    const weight = parseFloat(workingWeight) || 0;
+    if (weight <= 0) return [];
+
+    const details = { ...(this._getExerciseDetails(exercise.name) || {}), ...exercise };
+    details.type = details.type || details.category;
+    const equipment = details.equipment || [];
+    const usesBar = equipment.includes('barbell');
+    const barWeight = this._getInventory(units).barWeight || 0;
+
+    let ramp;
+    if (usesBar && details.type === 'compound') {
+      ramp = [{ percent: 0.4, reps: 5 }, { percent: 0.6, reps: 3 }, { percent: 0.8, reps: 1 }];
+    } else if (details.type === 'compound') {
+      ramp = [{ percent: 0.5, reps: 8 }, { percent: 0.75, reps: 3 }];
+    } else {
+      ramp = [{ percent: 0.5, reps: 10 }];
+    }
+
+    const warmups = ramp
+      .map(step => ({ weight: this.roundToAchievableLoad(weight * step.percent, details, 'nearest', units), reps: step.reps }))
+      .filter(set => set.weight > (usesBar ? barWeight : 0) && set.weight < weight);
+
+    if (usesBar && weight > barWeight) {
+      warmups.unshift({ weight: barWeight, reps: 10 });
+    }
+
+    // Drop steps that collapse onto the same load after rounding
+    return warmups
+      .filter((set, index) => index === 0 || set.weight > warmups[index - 1].weight)
+      .map(set => ({ ...set, type: 'warmup' }));
+  }
+
+/*
+===============================================
+SECTION 16: EQUIPMENT INVENTORY AND LOAD ROUNDING
+===============================================
+*/
+  _getInventory(units = this._getUnits()) {
+    return getInventory(this.userProfile, units);
+  }
+
+  // Snaps a prescribed load to one the user's bars, plates, dumbbells or stacks can make
+  roundToAchievableLoad(load, exercise = {}, direction = 'nearest', units = this._getUnits()) {
+    const value = parseFloat(load) || 0;
+    if (value <= 0) return load;
+
+    const details = { ...(this._getExerciseDetails(exercise.name) || {}), ...exercise };
+    const loadType = getLoadType(details.equipment || []);
+    if (loadType) {
+      return roundToAchievableLoad(value, loadType, this._getInventory(units), direction);
+    }
+
+    // Bodyweight and band work has no inventory to check, so fall back to the progression step
+    return roundToIncrement(value, this.getLoadIncrement(details, units), direction);
+  }
+
+  getPlateBreakdown(load, exercise = {}, units = this._getUnits()) {
+    const details = { ...(this._getExerciseDetails(exercise.name) || {}), ...exercise };
+    if (getLoadType(details.equipment || []) !== 'barbell') return null;
+    return getPlateBreakdown(parseFloat(load) || 0, this._getInventory(units));
+  }
+
+/*
+===============================================
+SECTION 17: REST PERIOD PRESCRIPTION
+===============================================
+*/
+  getDefaultRestSeconds(exercise = {}) {
+    const override = this.userProfile?.restOverrides?.[exercise.name];
+    if (override) return override;
+
+    const details = { ...(this._getExerciseDetails(exercise.name) || {}), ...exercise };
+    const type = (details.type || details.category) === 'compound' ? 'compound' : 'isolation';
+    const goalDefaults = this.restDefaults[this.userProfile?.goal] || this.restDefaults.hypertrophy;
+    return goalDefaults[type];
+  }
 }
@@ -0,0 +1,156 @@
+/**
+ * @file workout-history.js
+ * Corrections to past workouts. An edit or delete rewrites the stored list, then
+ * recomputes what was derived from the old values: the session's volume and XP,
+ * the next-session progressions it fed, and goal completion. Every change keeps
+ * the record as it was before so the most recent ones can be undone.
+ */
+
+import { replaceWorkoutsLocally } from "./local-storage.js";
+import { calculateSetVolume, estimateOneRepMax } from "./set-types.js";
+import { getEffectiveLoad } from "./bodyweight-loading.js";
+import { WorkoutEngine } from "./workout-engine.js";
+
+export const HISTORY_EDIT_LIMIT = 20;
+// Same rates the workout summary awards XP with
+const VOLUME_PER_XP = 10;
+const XP_PER_LEVEL = 1000;
+
+// Sessions saved before ids existed are identified by their date
+export function getWorkoutKey(workout = {}) {
+  return workout.id || workout.date;
+}
+
+export function calculateWorkoutVolume(workout = {}) {
+  return (workout.exercises || []).reduce((total, exercise) =>
+    total + (exercise.completedSets || []).reduce((sum, set) => sum + calculateSetVolume(set), 0), 0);
+}
+
+export function getWorkoutXP(workout) {
+  return workout ? Math.round((workout.totalVolume || 0) / VOLUME_PER_XP) : 0;
+}
+
+// Best set logged for the goal's exercise since the goal was set, scored by estimated 1RM.
+// Bodyweight sets are scored on the load moved, reading the goal's weight as the load added
+// to (or, for assisted sets, taken off) the bodyweight logged with the set.
+export function getGoalProgress(goal = {}, workouts = []) {
+  const since = goal.startDate ? new Date(goal.startDate) : new Date(0);
+  let best = null;
+  let completedDate = null;
+
+  workouts
+    .filter(workout => new Date(workout.date) >= since)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(workout => (workout.exercises || [])
+      .filter(exercise => exercise.name === goal.exercise)
+      .forEach(exercise => (exercise.completedSets || []).forEach(set => {
+        const load = getEffectiveLoad(set);
+        const targetLoad = getEffectiveLoad(set, goal.targetWeight);
+        const oneRepMax = estimateOneRepMax(load, set.reps);
+        if (!best || oneRepMax > best.oneRepMax) {
+          best = { weight: set.weight, reps: set.reps, oneRepMax, target: estimateOneRepMax(targetLoad, goal.targetReps) };
+        }
+        const achieved = load >= targetLoad && (parseInt(set.reps, 10) || 0) >= goal.targetReps;
+        if (achieved && !completedDate) completedDate = workout.date;
+      })));
+
+  return {
+    best,
+    completed: Boolean(completedDate),
+    completedDate,
+    percent: completedDate ? 100 : Math.min(99, best?.target > 0 ? Math.round((best.oneRepMax / best.target) * 100) : 0),
+  };
+}
+
+export function editWorkout(userData, workoutKey, changes) {
+  const workouts = [...(userData.workouts || [])];
+  const index = workouts.findIndex(workout => getWorkoutKey(workout) === workoutKey);
+  if (index === -1) throw new Error("That workout could not be found.");
+
+  const before = workouts[index];
+  const after = { ...before, ...changes };
+  after.totalVolume = Math.round(calculateWorkoutVolume(after));
+  workouts[index] = after;
+  return _commitHistory(userData, workouts, { action: 'edit', index, before, after });
+}
+
+export function deleteWorkout(userData, workoutKey) {
+  const workouts = [...(userData.workouts || [])];
+  const index = workouts.findIndex(workout => getWorkoutKey(workout) === workoutKey);
+  if (index === -1) throw new Error("That workout could not be found.");
+
+  const [before] = workouts.splice(index, 1);
+  return _commitHistory(userData, workouts, { action: 'delete', index, before, after: null });
+}
+
+// Undo is itself a history change, applied in reverse and dropped from the log
+export function undoLastHistoryEdit(userData) {
+  const [lastEdit, ...remainingEdits] = userData.historyEdits || [];
+  if (!lastEdit) throw new Error("There is nothing to undo.");
+
+  const workouts = [...(userData.workouts || [])];
+  if (lastEdit.action === 'delete') {
+    workouts.splice(Math.min(lastEdit.index, workouts.length), 0, lastEdit.before);
+  } else {
+    const index = workouts.findIndex(workout => getWorkoutKey(workout) === getWorkoutKey(lastEdit.after));
+    if (index === -1) throw new Error("The edited workout no longer exists.");
+    workouts[index] = lastEdit.before;
+  }
+  return _commitHistory(userData, workouts, { before: lastEdit.after, after: lastEdit.before }, remainingEdits);
+}
+
+export function describeHistoryEdit(edit = {}) {
+  const workout = edit.before || edit.after || {};
+  const label = `${workout.name || 'Workout Session'} (${new Date(workout.date).toLocaleDateString()})`;
+  return edit.action === 'delete' ? `Deleted ${label}` : `Edited ${label}`;
+}
+
+function _commitHistory(userData, workouts, change, historyEdits = null) {
+  const { before, after } = change;
+  const totalXP = Math.max(0, (userData.totalXP || 0) - getWorkoutXP(before) + getWorkoutXP(after));
+  const edits = historyEdits ?? [
+    { id: Date.now().toString(), at: new Date().toISOString(), ...change },
+    ...(userData.historyEdits || []),
+  ].slice(0, HISTORY_EDIT_LIMIT);
+
+  const updates = {
+    totalXP,
+    level: Math.floor(totalXP / XP_PER_LEVEL) + 1,
+    progressions: _recomputeProgressions(userData, workouts, [before, after]),
+    goals: (userData.goals || []).map(goal => {
+      const { completed, completedDate } = getGoalProgress(goal, workouts);
+      return { ...goal, completed, completedDate };
+    }),
+    historyEdits: edits,
+  };
+
+  const result = replaceWorkoutsLocally(workouts, updates);
+  if (!result.success) throw new Error("Could not save your changes. Please try again.");
+  return { ...userData, ...updates, workouts };
+}
+
+// A progression is rebuilt only if it came from the changed session or an older one;
+// prescriptions from later sessions are left alone
+function _recomputeProgressions(userData, workouts, changedWorkouts) {
+  const progressions = { ...(userData.progressions || {}) };
+  const engine = new WorkoutEngine({ ...userData, workouts });
+  const changed = changedWorkouts.filter(Boolean);
+  const latestChange = Math.max(...changed.map(workout => new Date(workout.date).getTime()));
+  const names = new Set(changed.flatMap(workout => (workout.exercises || []).map(exercise => exercise.name)));
+
+  names.forEach(name => {
+    const current = progressions[name];
+    if (current?.date && new Date(current.date).getTime() > latestChange) return;
+
+    const latest = workouts
+      .filter(workout => (workout.exercises || []).some(exercise => exercise.name === name && exercise.completedSets?.length > 0))
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+    if (!latest) {
+      delete progressions[name];
+      return;
+    }
+    const exercise = latest.exercises.find(ex => ex.name === name && ex.completedSets?.length > 0);
+    progressions[name] = { ...engine.calculateProgression(exercise), date: latest.date };
+  });
+  return progressions;
+}